@@ -2,46 +2,86 @@ const express = require('express');
 const cors = require('cors');
 const https = require('https');
 const http = require('http');
-const zlib = require('zlib');
 const crypto = require('crypto');
 const WebSocket = require('ws');
 const fetch = require('node-fetch');
+const proxyAddr = require('proxy-addr');
 const { Buffer } = require('buffer');
 const { URL } = require('url');
+const { pipeline, finished } = require('stream');
 const ContentRewriter = require('./rewrite/index.js');
 const BlissFlyWebSocket = require('./client/websocket.js');
 const HookEvent = require('./client/hook.js');
-const rewriter = require('./rewrite/index.js');
+const { CLIENT_PATH, WORKER_PATH, WORKER_SCOPE, CODEC_PATH, buildClient, buildWorker, buildCodec } = require('./client/build.js');
+const urlCodec = require('./rewrite/codec.js');
+const proxyAddress = require('./rewrite/url.js');
+const HeaderPolicy = require('./proxy/headers.js');
+const WebSocketTunnel = require('./proxy/websocket.js');
+const UpstreamClient = require('./proxy/upstream.js');
+const DestinationPolicy = require('./proxy/destinations.js');
+const AccessControl = require('./proxy/auth.js');
+const HttpCache = require('./proxy/cache.js');
+const DiskCache = require('./proxy/diskcache.js');
+const ResponseCompression = require('./proxy/compression.js');
+const { RateLimiter, ConcurrencyLimiter, rateLimit, clientKey, retryAfterSeconds } = require('./proxy/limits.js');
+const { SESSION_COOKIE, CookieStore, parseCookieHeader, siteOf } = require('./proxy/cookies.js');
+const { loadConfig, describeConfig } = require('./config.js');
 
 // Initialize express and server
 const app = express();
 const server = http.createServer(app);
-const wss = new WebSocket.Server({ server });
+const wss = new WebSocket.Server({ noServer: true });
 const rewriter = ContentRewriter;
 
-// Configuration constants
-const CONFIG = {
-    PORT: process.env.PORT || 10000,
-    VERSION: 'v1.21',
-    DEBUG: process.env.DEBUG === 'true',
-    MAX_RETRIES: 3,
-    TIMEOUT: 30000,
-    MAX_CACHE_SIZE: 1000,
-    CACHE_TTL: 600000
-};
+// Configuration: defaults, config file, environment and command-line flags, validated before anything starts
+let CONFIG;
+try {
+    CONFIG = loadConfig();
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
+
+// req.ip (and so the per-client limits) comes from X-Forwarded-For only for trusted reverse proxies
+app.set('trust proxy', CONFIG.TRUST_PROXY);
 
 // Middleware configurations
+// /watch forwards request bodies untouched, so it takes the raw buffer before the parsers below
+app.use('/watch', express.raw({ type: () => true, limit: CONFIG.MAX_BODY_SIZE }));
 app.use(express.json());
 app.use(cors());
 app.use(express.urlencoded({ extended: true }));
 
 app.use((req, res, next) => {
     res.header('Access-Control-Allow-Origin', '*');
-    res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
     res.header('Access-Control-Allow-Headers', 'Content-Type');
     next();
 });
 
+const cookieStore = new CookieStore({
+    sessionTTL: CONFIG.SESSION_TTL
+});
+
+// Per-client request budget; runs before the login so it also slows down password guessing
+const requestLimiter = new RateLimiter({ perMinute: CONFIG.RATE_LIMIT, burst: CONFIG.RATE_LIMIT_BURST });
+const messageLimiter = new RateLimiter({ perMinute: CONFIG.WS_RATE_LIMIT, burst: CONFIG.WS_RATE_LIMIT_BURST });
+app.use(rateLimit(requestLimiter, {
+    keyBy: CONFIG.RATE_LIMIT_KEY,
+    sessions: cookieStore,
+    skip: req => req.path === '/health'
+}));
+
+// Optional login in front of everything but the login page and /health; a no-op without credentials
+const access = new AccessControl({
+    password: CONFIG.AUTH_PASSWORD,
+    tokens: CONFIG.AUTH_TOKENS,
+    secret: CONFIG.AUTH_SECRET,
+    ttl: CONFIG.AUTH_TTL,
+    debug: CONFIG.DEBUG
+});
+app.use(access.middleware());
+
 const handleResourceType = (contentType) => {
     if (contentType.includes('javascript')) return 'application/javascript';
     if (contentType.includes('css')) return 'text/css';
@@ -49,12 +89,42 @@ const handleResourceType = (contentType) => {
     return contentType;
 };
 
+// Key of the obfuscate codec. Bundled client code carries the key, so it is derived from the secret
+// rather than being the secret itself.
+function codecKey(secret) {
+    return crypto.createHmac('sha256', secret).update('blissfly-url-codec').digest('hex');
+}
+
+// Every /watch address, whether built here, by the rewriters or by bundled client code, uses this codec
+const codec = urlCodec.configure({ name: CONFIG.URL_CODEC, key: codecKey(CONFIG.URL_SECRET) });
+proxyAddress.configure({ format: CONFIG.URL_FORMAT });
+rewriter.configure({
+    maxBuffer: CONFIG.MAX_REWRITE_BUFFER,
+    jsCacheBytes: CONFIG.JS_CACHE_SIZE,
+    serviceWorker: CONFIG.SERVICE_WORKER
+});
+
 function obfuscateUrl(url) {
-    return btoa(encodeURIComponent(url));
+    return codec.encode(url);
 }
 
 function deobfuscateUrl(encodedUrl) {
-    return decodeURIComponent(atob(encodedUrl));
+    return codec.decode(encodedUrl);
+}
+
+function proxiedPath(url, options) {
+    return proxyAddress.proxyUrl(url, options);
+}
+
+// Recovers the real target from a proxied address such as a Referer pointing at /watch
+function resolveProxiedUrl(href) {
+    try {
+        const parsed = new URL(href);
+        const target = proxyAddress.parseProxyPath(parsed.pathname + parsed.search);
+        return target ? target.url : null;
+    } catch (e) {
+        return null;
+    }
 }
 
 function normalizeUrl(url) {
@@ -66,14 +136,13 @@ function normalizeUrl(url) {
     }
 }
 
-// Constants and configurations
-const PORT = process.env.PORT || 10000;
-const VERSION = 'v1.21';
-const DEBUG = process.env.DEBUG === 'true';
-const MAX_RETRIES = 3;
-const TIMEOUT = 30000;
-const MAX_CACHE_SIZE = 1000;
-const CACHE_TTL = 600000;
+// Constants
+const BODYLESS_METHODS = ['GET', 'HEAD'];
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+// Sec-Fetch-Dest values of worker scripts, which run without the injected client
+const WORKER_DESTINATIONS = ['worker', 'sharedworker', 'serviceworker'];
 
 const PROCESSABLE_TYPES = [
     'text/html',
@@ -99,8 +168,10 @@ const WS_MESSAGES = {
 class AdvancedCache {
     constructor(options = {}) {
         this.storage = new Map();
-        this.maxSize = options.maxSize || MAX_CACHE_SIZE;
-        this.maxAge = options.maxAge || CACHE_TTL;
+        this.maxSize = options.maxSize || CONFIG.MAX_CACHE_SIZE;
+        this.maxBytes = options.maxBytes || CONFIG.CACHE_MAX_BYTES;
+        this.maxAge = options.maxAge || CONFIG.CACHE_TTL;
+        this.bytes = 0;
         this.stats = {
             hits: 0,
             misses: 0,
@@ -111,21 +182,24 @@ class AdvancedCache {
     }
 
     set(key, value, customTTL) {
-        if (this.storage.size >= this.maxSize) {
-            this._evictBatch();
-        }
+        const size = this._calculateSize(value);
+        if (size > this.maxBytes) return false;
 
+        this.delete(key);
         const ttl = customTTL || this.maxAge;
         const item = {
             value,
             expires: Date.now() + ttl,
             lastAccessed: Date.now(),
             accessCount: 0,
-            size: this._calculateSize(value)
+            size
         };
 
         this.storage.set(key, item);
+        this.bytes += size;
+        this._evict();
         this._conditionalCleanup();
+        return true;
     }
 
     get(key) {
@@ -138,34 +212,61 @@ class AdvancedCache {
         }
 
         if (Date.now() > item.expires) {
-            this.storage.delete(key);
+            this.delete(key);
             this.stats.evictions++;
+            this.stats.misses++;
             return null;
         }
 
+        // Map order doubles as the LRU list: a hit moves the item to the back
+        this.storage.delete(key);
+        this.storage.set(key, item);
         item.lastAccessed = Date.now();
         item.accessCount++;
         this.stats.hits++;
         return item.value;
     }
 
+    delete(key) {
+        const item = this.storage.get(key);
+        if (!item) return false;
+        this.storage.delete(key);
+        this.bytes -= item.size;
+        return true;
+    }
+
+    // Removes every item the predicate accepts, returns how many went
+    deleteWhere(predicate) {
+        let count = 0;
+        for (const [key, item] of this.storage) {
+            if (predicate(key, item.value)) {
+                this.delete(key);
+                count++;
+            }
+        }
+        return count;
+    }
+
     _calculateSize(value) {
         if (typeof value === 'string') {
             return value.length * 2;
         }
+        if (Buffer.isBuffer(value)) {
+            return value.length;
+        }
+        // Values that know their own footprint, such as cached responses
+        if (value && typeof value.size === 'number') {
+            return value.size;
+        }
         return 512;
     }
 
-    _evictBatch() {
-        const itemsToEvict = Math.ceil(this.storage.size * 0.1);
-        const sortedItems = Array.from(this.storage.entries())
-            .sort((a, b) => (a[1].lastAccessed - b[1].lastAccessed));
-
-        for (let i = 0; i < itemsToEvict; i++) {
-            if (sortedItems[i]) {
-                this.storage.delete(sortedItems[i][0]);
-                this.stats.evictions++;
-            }
+    // Drops least recently used items until both the entry and the byte budget are met
+    _evict() {
+        for (const key of this.storage.keys()) {
+            if (this.storage.size <= this.maxSize && this.bytes <= this.maxBytes) break;
+            this.delete(key);
+            this.stats.evictions++;
         }
     }
 
@@ -180,8 +281,8 @@ class AdvancedCache {
     _cleanup() {
         const now = Date.now();
         for (const [key, item] of this.storage.entries()) {
-            if (now > item.expires || item.accessCount === 0) {
-                this.storage.delete(key);
+            if (now > item.expires) {
+                this.delete(key);
                 this.stats.evictions++;
             }
         }
@@ -192,15 +293,83 @@ class AdvancedCache {
             ...this.stats,
             size: this.storage.size,
             maxSize: this.maxSize,
+            bytes: this.bytes,
+            maxBytes: this.maxBytes,
             hitRate: (this.stats.hits / this.stats.totalRequests) || 0,
             evictionRate: (this.stats.evictions / this.stats.totalRequests) || 0
         };
     }
 }
 
+const headerPolicy = new HeaderPolicy({
+    requestHeaders: CONFIG.FORWARD_HEADERS,
+    blockedResponseHeaders: CONFIG.BLOCKED_RESPONSE_HEADERS,
+    resolveProxiedUrl,
+    rewriteUrl: proxyAddress.rewriteUrl
+});
+
+const destinations = new DestinationPolicy({
+    allowPrivate: CONFIG.ALLOW_PRIVATE_ADDRESSES,
+    allowedHosts: CONFIG.ALLOWED_HOSTS,
+    blockedHosts: CONFIG.BLOCKED_HOSTS,
+    debug: CONFIG.DEBUG
+});
+
+const upstream = new UpstreamClient({
+    connectTimeout: CONFIG.CONNECT_TIMEOUT,
+    readTimeout: CONFIG.TIMEOUT,
+    maxRetries: CONFIG.MAX_RETRIES,
+    retryDelay: CONFIG.RETRY_DELAY,
+    maxRetryDelay: CONFIG.MAX_RETRY_DELAY,
+    debug: CONFIG.DEBUG
+});
+
+const upstreamSlots = new ConcurrencyLimiter({
+    maxActive: CONFIG.UPSTREAM_CONCURRENCY,
+    maxPerHost: CONFIG.UPSTREAM_HOST_CONCURRENCY,
+    maxQueue: CONFIG.UPSTREAM_QUEUE_SIZE,
+    queueTimeout: CONFIG.UPSTREAM_QUEUE_TIMEOUT
+});
+
+const wsTunnel = new WebSocketTunnel({
+    cookieStore,
+    destinations,
+    messageLimiter,
+    rateLimitKey: CONFIG.RATE_LIMIT_KEY,
+    decodeUrl: deobfuscateUrl,
+    debug: CONFIG.DEBUG,
+    handshakeTimeout: CONFIG.TIMEOUT,
+    maxPayload: CONFIG.WS_MAX_PAYLOAD
+});
+
 const cache = new AdvancedCache({
-    maxSize: MAX_CACHE_SIZE,
-    maxAge: CACHE_TTL
+    maxSize: CONFIG.MAX_CACHE_SIZE,
+    maxBytes: CONFIG.CACHE_MAX_BYTES,
+    maxAge: CONFIG.CACHE_TTL
+});
+
+const diskCache = CONFIG.DISK_CACHE_DIR ? new DiskCache({
+    dir: CONFIG.DISK_CACHE_DIR,
+    maxBytes: CONFIG.DISK_CACHE_MAX_BYTES,
+    minEntryBytes: CONFIG.DISK_CACHE_MIN_ENTRY_SIZE,
+    maxEntryBytes: CONFIG.DISK_CACHE_MAX_ENTRY_SIZE,
+    debug: CONFIG.DEBUG
+}) : null;
+
+const httpCache = new HttpCache({
+    store: cache,
+    disk: diskCache,
+    rewriteVersion: crypto.createHash('sha1')
+        .update(JSON.stringify([CONFIG.VERSION, codec, CONFIG.URL_FORMAT, CONFIG.SERVICE_WORKER]))
+        .digest('hex').slice(0, 12),
+    maxEntryBytes: CONFIG.CACHE_MAX_ENTRY_SIZE,
+    maxHeuristicAge: CONFIG.CACHE_TTL,
+    staleRetention: CONFIG.CACHE_TTL
+});
+
+const compression = new ResponseCompression({
+    enabled: CONFIG.COMPRESSION,
+    level: CONFIG.COMPRESSION_LEVEL
 });
 
 class WebSocketManager {
@@ -215,7 +384,7 @@ class WebSocketManager {
         this.wss.on('connection', (ws, req) => {
             const clientId = this.generateClientId();
             this.initializeClient(clientId, ws);
-            this.setupClientHandlers(clientId, ws);
+            this.setupClientHandlers(clientId, ws, clientKey(req, CONFIG.RATE_LIMIT_KEY, cookieStore));
         });
     }
 
@@ -239,8 +408,14 @@ class WebSocketManager {
         });
     }
 
-    setupClientHandlers(clientId, ws) {
-        ws.on('message', (message) => this.handleMessage(clientId, message));
+    setupClientHandlers(clientId, ws, rateKey) {
+        ws.on('message', (message) => {
+            if (!messageLimiter.take(rateKey).allowed) {
+                ws.close(1008, 'Rate limit exceeded');
+                return;
+            }
+            this.handleMessage(clientId, message);
+        });
         ws.on('close', () => this.handleClose(clientId));
         ws.on('error', (error) => this.handleError(clientId, error));
         ws.on('pong', () => this.handlePong(clientId));
@@ -251,7 +426,7 @@ class WebSocketManager {
             } else {
                 clearInterval(pingInterval);
             }
-        }, 30000);
+        }, CONFIG.WS_PING_INTERVAL);
     }
 
     handleMessage(clientId, message) {
@@ -278,7 +453,7 @@ class WebSocketManager {
                     this.handleCustomMessage(clientId, data);
             }
         } catch (error) {
-            DEBUG && console.error('WebSocket message handling error:', error);
+            CONFIG.DEBUG && console.error('WebSocket message handling error:', error);
             this.sendToClient(clientId, {
                 type: WS_MESSAGES.ERROR,
                 message: 'Invalid message format'
@@ -377,122 +552,102 @@ class WebSocketManager {
     }
 }
 
-class ContentTransformer {
-    static async transformHtml(html, baseUrl) {
-        const viewportMeta = '<meta name="viewport" content="width=device-width, initial-scale=1.0">';
-        const baseTag = `<base href="${baseUrl}">`;
-        const resourceLoader = `
-            <script>
-                (function() {
-                    const originalFetch = window.fetch;
-                    const originalXHR = window.XMLHttpRequest.prototype.open;
-                    
-                    window.fetch = async function(url, options = {}) {
-                        if (url && !url.startsWith('data:')) {
-                            url = '/watch?url=' + btoa(encodeURIComponent(new URL(url, window.location.href).href));
-                        }
-                        return originalFetch(url, options);
-                    };
+function renderLoginPage(next, failed) {
+    return `
+        <!DOCTYPE html>
+        <html lang="en">
+        <head>
+            <meta charset="UTF-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <title>Sign in - BlissFly 🪰</title>
+            <style>
+                body {
+                    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, 'Open Sans', 'Helvetica Neue', sans-serif;
+                    background: #f5f5f5;
+                    color: #495057;
+                    min-height: 100vh;
+                    margin: 0;
+                    display: flex;
+                    align-items: center;
+                    justify-content: center;
+                }
 
-                    XMLHttpRequest.prototype.open = function(method, url, ...args) {
-                        if (url && !url.startsWith('data:')) {
-                            url = '/watch?url=' + btoa(encodeURIComponent(new URL(url, window.location.href).href));
-                        }
-                        return originalXHR.call(this, method, url, ...args);
-                    };
-                    
-                    // Handle dynamic script loading
-                    const observer = new MutationObserver((mutations) => {
-                        mutations.forEach((mutation) => {
-                            mutation.addedNodes.forEach((node) => {
-                                if (node.tagName === 'SCRIPT' && node.src) {
-                                    node.src = '/watch?url=' + btoa(encodeURIComponent(new URL(node.src, window.location.href).href));
-                                }
-                                if (node.tagName === 'LINK' && node.rel === 'stylesheet') {
-                                    node.href = '/watch?url=' + btoa(encodeURIComponent(new URL(node.href, window.location.href).href));
-                                }
-                            });
-                        });
-                    });
+                .card {
+                    background: #ffffff;
+                    border-radius: 10px;
+                    padding: 2rem;
+                    width: 100%;
+                    max-width: 360px;
+                    box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+                }
 
-                    observer.observe(document, { 
-                        childList: true, 
-                        subtree: true 
-                    });
-                })();
-            </script>
-        `;
-
-        // Transform all resource URLs
-        let transformedHtml = html
-            .replace(/<head>/i, `<head>${viewportMeta}${baseTag}${resourceLoader}`)
-            .replace(/(href|src|action)=["']((?!data:|javascript:|#|mailto:|tel:).+?)["']/gi, 
-                (match, attr, url) => {
-                    try {
-                        const absoluteUrl = new URL(url, baseUrl).href;
-                        const encodedUrl = btoa(encodeURIComponent(absoluteUrl));
-                        return `${attr}="/watch?url=${encodedUrl}"`;
-                    } catch (e) {
-                        return match;
-                    }
+                h1 {
+                    color: #2196F3;
+                    margin-top: 0;
+                    text-align: center;
                 }
-            )
-            .replace(/<link[^>]*>/gi, (match) => {
-                if (match.includes('stylesheet')) {
-                    return match.replace(/href=["']((?!data:).+?)["']/i, (m, url) => {
-                        try {
-                            const absoluteUrl = new URL(url, baseUrl).href;
-                            const encodedUrl = btoa(encodeURIComponent(absoluteUrl));
-                            return `href="/watch?url=${encodedUrl}"`;
-                        } catch (e) {
-                            return m;
-                        }
-                    });
+
+                input, button {
+                    width: 100%;
+                    padding: 12px;
+                    font-size: 16px;
+                    border-radius: 8px;
+                    box-sizing: border-box;
                 }
-                return match;
-            });
 
-        return transformedHtml;
-    }
+                input {
+                    border: 2px solid #e9ecef;
+                    margin-bottom: 1rem;
+                }
 
-    static transformCss(css, baseUrl) {
-        return css.replace(/url\(['"]?((?!data:)[^'"())]+)['"]?\)/gi, (match, url) => {
-            try {
-                const absoluteUrl = new URL(url, baseUrl).href;
-                const encodedUrl = btoa(encodeURIComponent(absoluteUrl));
-                return `url('/watch?url=${encodedUrl}')`;
-            } catch (e) {
-                return match;
-            }
-        });
-    }
+                button {
+                    background: #2196F3;
+                    color: white;
+                    border: none;
+                    cursor: pointer;
+                }
 
-    static transformJavaScript(js, baseUrl) {
-        const wrapped = `
-            (function() {
-                const originalFetch = window.fetch;
-                const originalXHR = window.XMLHttpRequest.prototype.open;
-                
-                window.fetch = async function(url, options = {}) {
-                    if (url && !url.startsWith('data:')) {
-                        url = '/watch?url=' + btoa(encodeURIComponent(new URL(url, '${baseUrl}').href));
-                    }
-                    return originalFetch(url, options);
-                };
+                button:hover {
+                    background: #1976D2;
+                }
 
-                XMLHttpRequest.prototype.open = function(method, url, ...args) {
-                    if (url && !url.startsWith('data:')) {
-                        url = '/watch?url=' + btoa(encodeURIComponent(new URL(url, '${baseUrl}').href));
-                    }
-                    return originalXHR.call(this, method, url, ...args);
-                };
-            })();
+                .error {
+                    color: #ff4444;
+                    margin-bottom: 1rem;
+                }
+            </style>
+        </head>
+        <body>
+            <form class="card" method="POST" action="${AccessControl.LOGIN_PATH}">
+                <h1>BlissFly 🪰</h1>
+                ${failed ? '<div class="error">Wrong password or token.</div>' : ''}
+                <input type="hidden" name="next" value="${escapeHtml(next)}">
+                <input type="password" name="password" placeholder="Password or access token" autocomplete="current-password" autofocus required>
+                <button type="submit">Sign in</button>
+            </form>
+        </body>
+        </html>
+    `;
+}
 
-            ${js}
-        `;
-        return wrapped;
+app.get(AccessControl.LOGIN_PATH, (req, res) => {
+    const next = access.safeRedirect(req.query.next);
+    if (access.isAuthenticated(req)) return res.redirect(next);
+    res.set('Content-Type', 'text/html').send(renderLoginPage(next, false));
+});
+
+app.post(AccessControl.LOGIN_PATH, (req, res) => {
+    const next = access.safeRedirect(req.body && req.body.next);
+    if (!access.enabled || access.login(req, res, req.body && req.body.password)) {
+        return res.redirect(303, next);
     }
-}
+    res.status(401).set('Content-Type', 'text/html').send(renderLoginPage(next, true));
+});
+
+app.post(AccessControl.LOGOUT_PATH, (req, res) => {
+    access.logout(res);
+    res.redirect(303, AccessControl.LOGIN_PATH);
+});
 
 app.get('/', (req, res) => {
     res.setHeader('Content-Type', 'text/html');
@@ -629,6 +784,41 @@ app.get('/', (req, res) => {
                     box-shadow: 0 0 0 3px rgba(33, 150, 243, 0.1);
                 }
 
+                .input-wrapper {
+                    position: relative;
+                }
+
+                .suggestions {
+                    display: none;
+                    position: absolute;
+                    top: calc(100% + 4px);
+                    left: 0;
+                    right: 0;
+                    margin: 0;
+                    padding: 4px 0;
+                    list-style: none;
+                    background: var(--card-background);
+                    border: 1px solid var(--border-color);
+                    border-radius: 6px;
+                    box-shadow: 0 4px 12px rgba(0, 0, 0, 0.08);
+                    z-index: 10;
+                }
+
+                .suggestions.active {
+                    display: block;
+                }
+
+                .suggestion {
+                    padding: 8px 12px;
+                    cursor: pointer;
+                    color: var(--text-color);
+                }
+
+                .suggestion:hover,
+                .suggestion.selected {
+                    background: #f1f3f5;
+                }
+
                 .info-section {
                     width: 100%;
                     max-width: 600px;
@@ -757,12 +947,18 @@ app.get('/', (req, res) => {
                 <div class="proxy-card">
                     <h1 class="title"><span class="title-fly">🪰</span>BlissFly</h1>
                     <form id="proxyForm" class="proxy-form">
-                        <input type="text" 
-                               class="url-input" 
-                               placeholder="Enter website URL" 
-                               required
-                               autocomplete="off"
-                               spellcheck="false">
+                        <div class="input-wrapper">
+                            <input type="text" 
+                                   class="url-input" 
+                                   placeholder="Search or enter website URL" 
+                                   required
+                                   autocomplete="off"
+                                   spellcheck="false"
+                                   role="combobox"
+                                   aria-autocomplete="list"
+                                   aria-expanded="false">
+                            <ul class="suggestions" role="listbox"></ul>
+                        </div>
                         <button type="submit" class="submit-btn">Browse</button>
                     </form>
                 </div>
@@ -777,15 +973,23 @@ app.get('/', (req, res) => {
                         </svg>
                     </div>
                     <div class="info-content">
-                        This proxy only searches with URLs please use a URL when searching (example.com)
+                        Enter a website address (example.com) to open it through the proxy, or anything else to search for it
                     </div>
                 </div>
             </div>
-            <div class="version">Version ${VERSION}</div>
+            <div class="version">Version ${CONFIG.VERSION}</div>
+            <script src="${CODEC_PATH}"></script>
             <script>
                 document.addEventListener('DOMContentLoaded', function() {
                     const form = document.getElementById('proxyForm');
                     const input = form.querySelector('input');
+                    const suggestionList = form.querySelector('.suggestions');
+                    const SEARCH_ENGINE = ${JSON.stringify(CONFIG.SEARCH_ENGINE).replace(/</g, '\\u003c')};
+                    const HOST_PATTERN = /^(localhost|(\\d{1,3}\\.){3}\\d{1,3}|([\\w-]+\\.)+[a-z][\\w-]+|\\[[0-9a-f:.]+\\])(:\\d+)?([\\/?#]\\S*)?$/i;
+                    let suggestions = [];
+                    let selected = -1;
+                    let suggestTimer = null;
+                    let latestQuery = '';
                     const warningTrigger = document.querySelector('.warning-trigger');
                     const infoContent = document.querySelector('.info-content');
 
@@ -842,18 +1046,86 @@ app.get('/', (req, res) => {
                             return;
                         }
 
-                        if (!url.startsWith('http://') && !url.startsWith('https://')) {
-                            url = 'https://' + url;
-                        }
+                        hideSuggestions();
+                        url = toTargetUrl(url);
 
                         try {
-                            const encodedUrl = btoa(encodeURIComponent(url));
-                            window.location.href = '/watch?url=' + encodedUrl;
+                            window.location.href = BlissFlyCodec.proxyUrl(new URL(url).href);
                         } catch (error) {
                             showError('Invalid URL format');
                         }
                     });
 
+                    // Addresses open directly, anything that does not look like one goes to the search engine
+                    function toTargetUrl(value) {
+                        if (/^https?:\\/\\//i.test(value)) return value;
+                        if (HOST_PATTERN.test(value)) return 'https://' + value;
+                        return SEARCH_ENGINE.replace('%s', encodeURIComponent(value));
+                    }
+
+                    function renderSuggestions() {
+                        suggestionList.replaceChildren(...suggestions.map((text, index) => {
+                            const item = document.createElement('li');
+                            item.className = 'suggestion' + (index === selected ? ' selected' : '');
+                            item.setAttribute('role', 'option');
+                            item.textContent = text;
+                            item.addEventListener('mousedown', (e) => {
+                                e.preventDefault();
+                                input.value = text;
+                                hideSuggestions();
+                                form.requestSubmit();
+                            });
+                            return item;
+                        }));
+                        suggestionList.classList.toggle('active', suggestions.length > 0);
+                        input.setAttribute('aria-expanded', String(suggestions.length > 0));
+                    }
+
+                    function hideSuggestions() {
+                        clearTimeout(suggestTimer);
+                        latestQuery = '';
+                        suggestions = [];
+                        selected = -1;
+                        renderSuggestions();
+                    }
+
+                    async function loadSuggestions(query) {
+                        latestQuery = query;
+                        try {
+                            const response = await fetch('/api/suggest?q=' + encodeURIComponent(query));
+                            const data = await response.json();
+                            // Responses can arrive out of order while typing
+                            if (query !== latestQuery || !Array.isArray(data.suggestions)) return;
+                            suggestions = data.suggestions;
+                            selected = -1;
+                            renderSuggestions();
+                        } catch (error) {
+                            hideSuggestions();
+                        }
+                    }
+
+                    input.addEventListener('input', () => {
+                        const query = input.value.trim();
+                        clearTimeout(suggestTimer);
+                        if (!query || /^https?:\\/\\//i.test(query)) return hideSuggestions();
+                        suggestTimer = setTimeout(() => loadSuggestions(query), 150);
+                    });
+
+                    input.addEventListener('keydown', (e) => {
+                        if (!suggestions.length) return;
+                        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                            e.preventDefault();
+                            const step = e.key === 'ArrowDown' ? 1 : -1;
+                            selected = (selected + 1 + step + suggestions.length + 1) % (suggestions.length + 1) - 1;
+                            renderSuggestions();
+                            input.value = selected >= 0 ? suggestions[selected] : latestQuery;
+                        } else if (e.key === 'Escape') {
+                            hideSuggestions();
+                        }
+                    });
+
+                    input.addEventListener('blur', hideSuggestions);
+
                     function showError(message) {
                         const existingError = document.querySelector('.error-popup');
                         if (existingError) {
@@ -878,22 +1150,436 @@ app.get('/', (req, res) => {
     `);
 });
 
-app.get('/watch', async (req, res) => {
+// Every visitor gets a BlissFly session that owns their upstream cookie jar
+function ensureSession(req, res, next) {
+    let sessionId = parseCookieHeader(req.headers.cookie)[SESSION_COOKIE];
+    // Fetching the jar is the existence check, so a session expiring in between cannot leave us without one
+    let jar = sessionId ? cookieStore.getJar(sessionId) : null;
+
+    if (!jar) {
+        sessionId = cookieStore.createSession();
+        jar = cookieStore.getJar(sessionId);
+        res.cookie(SESSION_COOKIE, sessionId, {
+            httpOnly: true,
+            sameSite: 'lax',
+            path: '/'
+        });
+    }
+
+    req.sessionId = sessionId;
+    req.cookieJar = jar;
+    next();
+}
+
+function buildUpstreamRequest(req, url) {
+    const hasBody = !BODYLESS_METHODS.includes(req.method) &&
+        Buffer.isBuffer(req.body) && req.body.length > 0;
+    const headers = headerPolicy.upstreamHeaders(req.headers, url);
+    // A token that logged the request into the proxy is ours, not the upstream's
+    if (access.hasBearerToken(req)) delete headers.authorization;
+
+    const cookie = req.cookieJar.getCookieHeader(url, {
+        siteUrl: req.headers.referer && resolveProxiedUrl(req.headers.referer),
+        method: req.method,
+        navigation: req.headers['sec-fetch-mode'] === 'navigate'
+    });
+    if (cookie) headers.cookie = cookie;
+
+    // Byte ranges refer to the unencoded body, which is also what the cache keeps
+    if (headers.range) headers['accept-encoding'] = 'identity';
+
+    return {
+        method: req.method,
+        headers,
+        body: hasBody ? req.body : undefined,
+        redirect: 'manual',
+        agent: destinations.agent
+    };
+}
+
+function escapeHtml(text) {
+    return String(text).replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+// Refusals from the destination policy, either up front or once the host resolved to a private address
+function sendBlockedPage(res, error) {
+    const reason = error.reason || error.message.replace(/^.*Destination blocked: /, '');
+    res.status(403).set('Content-Type', 'text/html').send(`
+        <!DOCTYPE html>
+        <html lang="en">
+        <head>
+            <meta charset="UTF-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            <title>Blocked - BlissFly 🪰</title>
+            <style>
+                body {
+                    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, 'Open Sans', 'Helvetica Neue', sans-serif;
+                    background: #f5f5f5;
+                    color: #495057;
+                    min-height: 100vh;
+                    margin: 0;
+                    display: flex;
+                    align-items: center;
+                    justify-content: center;
+                }
+
+                .card {
+                    background: #ffffff;
+                    border-radius: 10px;
+                    padding: 2rem;
+                    max-width: 520px;
+                    box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);
+                }
+
+                h1 {
+                    color: #ff4444;
+                    margin-top: 0;
+                }
+
+                a {
+                    color: #2196F3;
+                }
+            </style>
+        </head>
+        <body>
+            <div class="card">
+                <h1>Destination blocked</h1>
+                <p>BlissFly will not load this address: ${escapeHtml(reason)}.</p>
+                <p><a href="/">Back to BlissFly</a></p>
+            </div>
+        </body>
+        </html>
+    `);
+}
+
+// Points Location/Refresh back through the proxy so the browser follows redirects itself
+function rewriteRedirectHeaders(res, response, url, hops) {
+    const location = response.headers.get('location');
+    const refresh = response.headers.get('refresh');
+
+    if (refresh) {
+        res.set('Refresh', rewriter.rewriteRefresh(refresh, url));
+    }
+
+    if (!location) return true;
+
+    let target;
     try {
-        const url = deobfuscateUrl(req.query.url);
-        const response = await fetch(url);
-        const type = response.headers.get('content-type');
-        
-        if(type?.includes('html')) {
-            const html = await response.text();
-            const transformed = rewriter.rewriteHTML(html, url);
-            res.set('Content-Type', 'text/html');
-            res.send(transformed);
+        target = new URL(location, url).href;
+    } catch (e) {
+        // A Location nobody can follow is dropped rather than sent unproxied
+        res.removeHeader('Location');
+        return true;
+    }
+    if (!REDIRECT_STATUSES.includes(response.status)) {
+        res.set('Location', proxiedPath(target));
+        return true;
+    }
+
+    if (hops + 1 > CONFIG.MAX_REDIRECTS) {
+        return false;
+    }
+
+    res.set('Location', proxiedPath(target, { hops: hops + 1 }));
+    return true;
+}
+
+// Both address forms: /watch?url=<encoded-url> and /watch/<encoded-origin>/<path>?<query>
+app.all(/^\/watch(?:\/|$)/, ensureSession, async (req, res) => {
+    try {
+        const target = proxyAddress.parseProxyPath(req.originalUrl);
+        if (!target) {
+            return res.status(400).send('Error: Missing target URL');
+        }
+
+        // Redirects come back through here as new /watch requests, so every hop is checked
+        const url = target.url;
+        destinations.check(url);
+
+        const upstreamRequest = buildUpstreamRequest(req, url);
+        const cacheable = httpCache.isCacheableRequest(req.method, upstreamRequest.headers);
+        let cached = cacheable ? httpCache.lookup(url, upstreamRequest.headers) : null;
+        let response;
+
+        if (cached && cached.fresh) {
+            res.set('X-Cache', 'HIT');
         } else {
-            response.body.pipe(res);
+            // The slot is held until the upstream body has been read, or the request failed
+            const release = await upstreamSlots.acquire(new URL(url).host);
+            res.once('close', release);
+            if (req.socket.destroyed) return release();
+
+            if (cached) httpCache.addValidators(cached.entry, upstreamRequest.headers);
+            response = await upstream.request(url, upstreamRequest);
+
+            // Rewritten bodies cannot be cut into byte ranges, so those are fetched whole instead
+            if ([206, 416].includes(response.status) && rewriter.isRewritable(response.headers.get('content-type'), url)) {
+                response.body.resume();
+                for (const name of ['range', 'if-range', 'accept-encoding']) delete upstreamRequest.headers[name];
+                response = await upstream.request(url, upstreamRequest);
+            }
+            finished(response.body, release);
+
+            if (cached && response.status === 304) {
+                response.body.resume();
+                cached = httpCache.revalidated(url, upstreamRequest.headers, cached, response);
+                res.set('X-Cache', 'REVALIDATED');
+            } else {
+                cached = null;
+                res.set('X-Cache', cacheable ? 'MISS' : 'BYPASS');
+            }
+        }
+
+        if (cached) {
+            // Ranges are cut from the stored body, except for bodies that get rewritten, which always go out whole
+            const ranged = !rewriter.isRewritable(httpCache.header(cached.entry, 'content-type'), url);
+            response = httpCache.toResponse(cached, ranged ? req.headers : null);
+        }
+
+        const type = response.headers.get('content-type');
+
+        req.cookieJar.setCookies(response.headers.raw()['set-cookie'], url);
+
+        res.status(response.status);
+        res.set(headerPolicy.clientHeaders(response.headers, url));
+
+        // Bodies that are not sent on are drained, so the upstream connection goes back to the agent's pool
+        // (or, for cached bodies, the file gets closed)
+        if (!rewriteRedirectHeaders(res, response, url, target.hops)) {
+            response.body.resume();
+            return res.status(508).send('Error: Too many redirects');
+        }
+
+        if (REDIRECT_STATUSES.includes(response.status)) {
+            response.body.resume();
+            return res.end();
+        }
+
+        // The visitor's own copy is still current
+        if (cached && httpCache.notModified(cached.entry, req.headers)) {
+            response.body.resume();
+            return res.status(304).end();
         }
+
+        const onStreamError = (err) => {
+            if (err) CONFIG.DEBUG && console.error('Proxy stream error:', err);
+        };
+
+        // A stored rewrite of a shareable type skips the rewriter altogether. Worker scripts get the
+        // runtime stand-in on top, so they are rewritten separately every time.
+        const worker = WORKER_DESTINATIONS.includes(req.headers['sec-fetch-dest']);
+        const shareable = !worker && rewriter.isShareable(type, url);
+        const rewritten = cached && shareable ? httpCache.lookup(url, upstreamRequest.headers, 'rewritten') : null;
+        if (rewritten) {
+            res.set('Content-Type', rewriter.outputType(type, url));
+            res.removeHeader('Accept-Ranges');
+            const encoder = compression.encoder(req, res, type);
+            pipeline(httpCache.toResponse(rewritten).body, ...(encoder ? [encoder] : []), res, onStreamError);
+            return;
+        }
+
+        const rewriteStream = await rewriter.createStream(type || '', url, {
+            cookies: req.cookieJar.getCookieHeader(url, { includeHttpOnly: false }),
+            worker
+        });
+
+        // Fresh upstream responses are stored raw; shareable rewrites are stored alongside
+        const stored = cached ? { ...cached.entry, varyHeaders: upstreamRequest.headers }
+            : cacheable ? httpCache.describe(url, upstreamRequest.headers, response) : null;
+        const streams = [response.body];
+        if (stored && !cached) streams.push(httpCache.collector(stored, 'raw'));
+
+        if (rewriteStream) {
+            // Rewritten output is always UTF-8, whatever charset the original came in
+            res.set('Content-Type', rewriter.outputType(type, url));
+            if (rewriter.isScript(type)) res.vary('Sec-Fetch-Dest');
+            streams.push(rewriteStream);
+            if (stored && shareable) streams.push(httpCache.collector(stored, 'rewritten'));
+        }
+
+        // Compression comes last so the cache keeps plain bodies that suit every client
+        const encoder = compression.encoder(req, res, type);
+        if (encoder) streams.push(encoder);
+
+        if (rewriteStream || encoder) {
+            // Offsets into the upstream body mean nothing for a body that was changed on the way
+            res.removeHeader('Accept-Ranges');
+        } else if (response.headers.has('content-length') && !response.headers.has('content-encoding')) {
+            // Untouched bodies keep their length, which media players and download managers rely on
+            res.set('Content-Length', response.headers.get('content-length'));
+        }
+
+        pipeline(...streams, res, onStreamError);
     } catch(err) {
-        res.status(500).send('Error: ' + err.message);
+        if (DestinationPolicy.isBlockedError(err)) {
+            return sendBlockedPage(res, err);
+        }
+        if (err.retryAfter) {
+            res.set('Retry-After', retryAfterSeconds(err.retryAfter));
+        }
+        // Upstream failures map to 502/504, anything else is ours
+        res.status(err.status || 500).send('Error: ' + err.message);
+    }
+});
+
+// Drops cached responses for one URL (?url=) or every URL of a host (?host=)
+app.delete('/api/cache', (req, res) => {
+    try {
+        if (req.query.url) {
+            return res.json({ purged: httpCache.purgeUrl(normalizeUrl(req.query.url)) });
+        }
+        if (req.query.host) {
+            return res.json({ purged: httpCache.purgeHost(req.query.host) });
+        }
+        res.status(400).json({ error: 'Expected a url or host parameter' });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+function serializeCookie(cookie) {
+    return {
+        name: cookie.name,
+        value: cookie.value,
+        domain: cookie.domain,
+        hostOnly: cookie.hostOnly,
+        path: cookie.path,
+        expires: cookie.expires === null ? null : new Date(cookie.expires).toISOString(),
+        secure: cookie.secure,
+        httpOnly: cookie.httpOnly,
+        sameSite: cookie.sameSite
+    };
+}
+
+// Site a /api/cookies call may act on. Every proxied page shares the BlissFly origin, so a call is limited
+// to the site of the proxied page it comes from (its Referer); only requests the user made directly, with no
+// page involved, may reach across sites. Returns '' for every site and null when the call is refused.
+function cookieScope(req) {
+    const pageUrl = req.headers.referer && resolveProxiedUrl(req.headers.referer);
+    if (pageUrl) return siteOf(new URL(pageUrl).hostname.toLowerCase());
+    return req.headers['sec-fetch-site'] === 'none' ? '' : null;
+}
+
+function inScope(scope, domain) {
+    return !scope || siteOf(String(domain).toLowerCase()) === scope;
+}
+
+// Session cookie jar inspection, optionally narrowed with ?domain=. HttpOnly cookies are left out, as they
+// are from document.cookie.
+app.get('/api/cookies', ensureSession, (req, res) => {
+    const scope = cookieScope(req);
+    if (scope === null) {
+        return res.status(403).json({ error: 'Cookies can only be listed for the calling page' });
+    }
+
+    res.json({
+        cookies: req.cookieJar.list(req.query.domain)
+            .filter(cookie => !cookie.httpOnly && inScope(scope, cookie.domain))
+            .map(serializeCookie)
+    });
+});
+
+// Cookies written through the emulated document.cookie of a proxied page
+app.post('/api/cookies', ensureSession, (req, res) => {
+    const { url, cookie } = req.body || {};
+
+    try {
+        const target = normalizeUrl(url);
+        const scope = cookieScope(req);
+        if (scope === null || !inScope(scope, new URL(target).hostname)) {
+            return res.status(403).json({ error: 'Cookies can only be set for the calling page' });
+        }
+
+        req.cookieJar.setCookie(cookie, target, { fromScript: true });
+        res.json({
+            cookie: req.cookieJar.getCookieHeader(url, { includeHttpOnly: false })
+        });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+app.delete('/api/cookies', ensureSession, (req, res) => {
+    const scope = cookieScope(req);
+    const domain = req.query.domain || scope || undefined;
+    if (scope === null || (domain && !inScope(scope, domain))) {
+        return res.status(403).json({ error: 'Cookies can only be cleared for the calling page' });
+    }
+
+    res.json({
+        cleared: req.cookieJar.clear(domain)
+    });
+});
+
+function sendBundle(req, res, build, headers = {}) {
+    try {
+        const { code, etag } = build();
+        res.set({
+            'Content-Type': 'application/javascript; charset=utf-8',
+            'Cache-Control': 'no-cache',
+            'ETag': etag,
+            ...headers
+        });
+        if (req.headers['if-none-match'] === etag) return res.status(304).end();
+        res.send(code);
+    } catch (error) {
+        console.error('Client build error:', error);
+        res.status(500).send('Error: ' + error.message);
+    }
+}
+
+// Client runtime loaded by every rewritten page
+app.get(CLIENT_PATH, (req, res) => sendBundle(req, res, buildClient));
+
+// URL codec for the home page form
+app.get(CODEC_PATH, (req, res) => sendBundle(req, res, buildCodec));
+
+// Service worker for SERVICE_WORKER mode, allowed to control the whole proxy prefix
+app.get(WORKER_PATH, (req, res) => sendBundle(req, res, buildWorker, {
+    'Service-Worker-Allowed': WORKER_SCOPE
+}));
+
+// Suggestion providers answer in the OpenSearch format [query, [suggestions]] or as a plain list
+function parseSuggestions(data) {
+    const list = Array.isArray(data) && Array.isArray(data[1]) ? data[1] : data;
+    if (!Array.isArray(list)) return [];
+
+    return list
+        .map(item => typeof item === 'string' ? item : item && (item.phrase || item.value || item.suggestion))
+        .filter(item => typeof item === 'string' && item.trim());
+}
+
+// Autocomplete for the home page search box, from the configured SUGGEST_URL provider
+app.get('/api/suggest', async (req, res) => {
+    const query = String(req.query.q || '').trim();
+    if (!query || !CONFIG.SUGGEST_URL) {
+        return res.json({ query, suggestions: [] });
+    }
+
+    const cacheKey = 'suggest:' + query.toLowerCase();
+    const cached = cache.get(cacheKey);
+    if (cached) {
+        return res.json({ query, suggestions: cached });
+    }
+
+    try {
+        const response = await fetch(CONFIG.SUGGEST_URL.replace('%s', encodeURIComponent(query)), {
+            headers: {
+                'Accept': 'application/json',
+                'User-Agent': req.headers['user-agent'] || 'BlissFly'
+            },
+            timeout: CONFIG.SUGGEST_TIMEOUT
+        });
+        if (!response.ok) {
+            throw new Error('Suggestion provider responded with ' + response.status);
+        }
+
+        const suggestions = parseSuggestions(await response.json()).slice(0, CONFIG.MAX_SUGGESTIONS);
+        cache.set(cacheKey, suggestions);
+        res.json({ query, suggestions });
+    } catch (error) {
+        CONFIG.DEBUG && console.error('Suggestion error:', error);
+        res.status(502).json({ error: 'Suggestions unavailable' });
     }
 });
 
@@ -901,8 +1587,19 @@ app.get('/watch', async (req, res) => {
 app.get('/health', (req, res) => {
     res.json({
         status: 'healthy',
-        version: VERSION,
-        cacheStats: cache.getStats(),
+        version: CONFIG.VERSION,
+        cacheStats: httpCache.getStats(),
+        sessionStats: cookieStore.getStats(),
+        webSocketStats: wsTunnel.getStats(),
+        upstreamStats: upstream.getStats(),
+        destinationStats: destinations.getStats(),
+        upstreamSlots: upstreamSlots.getStats(),
+        compressionStats: compression.getStats(),
+        rewriteStats: rewriter.getStats(),
+        rateLimitStats: {
+            requests: requestLimiter.getStats(),
+            messages: messageLimiter.getStats()
+        },
         uptime: process.uptime()
     });
 });
@@ -924,31 +1621,58 @@ app.use((req, res, next) => {
     next();
 });
 
+// Proxied pages' sockets go through the tunnel, anything else to BlissFly's own socket server
+server.on('upgrade', (req, socket, head) => {
+    socket.on('error', (error) => CONFIG.DEBUG && console.error('Upgrade socket error:', error.message));
+
+    // Upgrades skip Express, so the client address is worked out here the way req.ip would be
+    req.ip = proxyAddr(req, app.get('trust proxy fn'));
+
+    // Express middleware never sees upgrades, so the login is checked here for both socket servers
+    if (!access.isAuthenticated(req)) {
+        socket.end('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\nContent-Length: 0\r\n\r\n');
+        return;
+    }
+
+    if (wsTunnel.matches(req)) {
+        wsTunnel.handleUpgrade(req, socket, head);
+        return;
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => wss.emit('connection', ws, req));
+});
+
 // Set keep-alive timeout and headers timeout
-server.keepAliveTimeout = 120000;
-server.headersTimeout = 120000;
+server.keepAliveTimeout = CONFIG.KEEP_ALIVE_TIMEOUT;
+server.headersTimeout = CONFIG.HEADERS_TIMEOUT;
 
 // Start server
-server.listen(PORT, '0.0.0.0', () => {
-    console.log(`Server running on port ${PORT}`);
-    console.log(`Version: ${VERSION}`);
-    if (DEBUG) console.log('Debug mode enabled');
+server.listen(CONFIG.PORT, CONFIG.HOST, () => {
+    console.log(`Server running on ${CONFIG.HOST}:${server.address().port}`);
+    console.log(`Version: ${CONFIG.VERSION}`);
+    if (CONFIG.CONFIG_FILE) console.log(`Config file: ${CONFIG.CONFIG_FILE}`);
+    if (CONFIG.DEBUG) {
+        console.log('Debug mode enabled');
+        console.log('Configuration:', describeConfig(CONFIG));
+    }
 });
 
 // Error handling
 process.on('uncaughtException', (error) => {
     console.error('Uncaught Exception:', error);
-    if (!DEBUG) process.exit(1);
+    if (!CONFIG.DEBUG) process.exit(1);
 });
 
 process.on('unhandledRejection', (reason, promise) => {
     console.error('Unhandled Rejection at:', promise, 'reason:', reason);
-    if (!DEBUG) process.exit(1);
+    if (!CONFIG.DEBUG) process.exit(1);
 });
 
 // Graceful shutdown >-<
 process.on('SIGTERM', () => {
     console.log('SIGTERM received. Performing graceful shutdown...');
+    wsTunnel.closeAll();
+    if (diskCache) diskCache.flush();
     server.close(() => {
         console.log('Server closed');
         process.exit(0);
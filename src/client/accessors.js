@@ -0,0 +1,64 @@
+// Targets of the calls the JavaScript rewriter inserts into proxied scripts (__blissfly.$get and friends).
+class BlissFlyAccessors {
+    constructor(ctx) {
+        this.ctx = ctx;
+        this.window = ctx.window;
+        this.meta = ctx.meta;
+    }
+
+    isLocation(value) {
+        return Object.prototype.toString.call(value) === '[object Location]';
+    }
+
+    isDocument(value) {
+        return Object.prototype.toString.call(value) === '[object HTMLDocument]' ||
+            Object.prototype.toString.call(value) === '[object Document]';
+    }
+
+    url(url, base) {
+        const value = String(url);
+        if (/^(#|data:|javascript:|about:|blob:|mailto:|tel:)/i.test(value)) return value;
+        try {
+            return this.ctx.location.proxy(base ? new URL(value, base).href : this.ctx.location.target(value));
+        } catch (e) {
+            return value;
+        }
+    }
+
+    // Swaps real Location objects for the emulated one of the window they belong to
+    get(value) {
+        if (!this.isLocation(value)) return value;
+        if (value === this.window.location) return this.ctx.location.emulated;
+
+        for (const win of [this.window.parent, this.window.top, this.window.opener]) {
+            try {
+                if (win && win.location === value && win.__blissfly) return win.__blissfly.location.emulated;
+            } catch (e) {}
+        }
+        return value;
+    }
+
+    // Assigning a URL to a Location navigates, so the URL has to go through the proxy first
+    setLocation(target, value) {
+        return this.isLocation(target) ? this.url(value) : value;
+    }
+
+    getDomain(target) {
+        return this.isDocument(target) ? this.ctx.location.url.hostname : target.domain;
+    }
+
+    setDomain(target, value) {
+        if (!this.isDocument(target)) target.domain = value;
+        return value;
+    }
+
+    install(runtime) {
+        runtime.$url = (url, base) => this.url(url, base);
+        runtime.$get = value => this.get(value);
+        runtime.$setLocation = (target, value) => this.setLocation(target, value);
+        runtime.$getDomain = target => this.getDomain(target);
+        runtime.$setDomain = (target, value) => this.setDomain(target, value);
+    }
+}
+
+module.exports = BlissFlyAccessors;
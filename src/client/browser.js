@@ -0,0 +1,12 @@
+// Bundle entry for proxied pages: the inline meta script has already set window.__blissfly = { meta }
+const { configure } = require('../rewrite/codec.js');
+const { configure: configureUrl } = require('../rewrite/url.js');
+const BlissFlyClient = require('./index.js');
+
+// The server's URL codec and address format, inlined at bundle time
+configure(__BLISSFLY_URL__.codec);
+configureUrl(__BLISSFLY_URL__);
+
+if (!(window.__blissfly instanceof BlissFlyClient)) {
+    window.__blissfly = new BlissFlyClient(window).init();
+}
@@ -0,0 +1,74 @@
+const path = require('path');
+const crypto = require('crypto');
+const { getCodec } = require('../rewrite/codec.js');
+const { getFormat } = require('../rewrite/url.js');
+
+// Where proxied pages load the bundled client from
+const CLIENT_PATH = '/blissfly/client.js';
+
+// Service worker script and the proxy prefix it controls; the scope lies outside the script's
+// directory, so the script has to be served with a Service-Worker-Allowed header
+const WORKER_PATH = '/blissfly/sw.js';
+const WORKER_SCOPE = '/watch';
+
+// URL codec for BlissFly's own pages
+const CODEC_PATH = '/blissfly/codec.js';
+
+const ENTRIES = {
+    client: path.join(__dirname, 'browser.js'),
+    worker: path.join(__dirname, 'serviceworker.js'),
+    codec: path.join(__dirname, 'codec.js')
+};
+
+const bundles = new Map();
+
+// Bundles an entry for the browser once per process; EventEmitter comes from the events package.
+// The codec and address format configured at startup are inlined so every bundle builds addresses the way the server does.
+// That includes the obfuscate codec's key, which is therefore public.
+function build(name) {
+    if (bundles.has(name)) return bundles.get(name);
+
+    const esbuild = require('esbuild');
+    const result = esbuild.buildSync({
+        entryPoints: [ENTRIES[name]],
+        bundle: true,
+        write: false,
+        platform: 'browser',
+        format: 'iife',
+        target: 'es2018',
+        minify: process.env.NODE_ENV === 'production',
+        legalComments: 'none',
+        define: {
+            __BLISSFLY_URL__: JSON.stringify({ codec: getCodec(), format: getFormat() })
+        }
+    });
+
+    const bundle = {
+        code: result.outputFiles[0].text,
+        etag: '"' + crypto.createHash('sha1').update(result.outputFiles[0].contents).digest('hex') + '"'
+    };
+    bundles.set(name, bundle);
+    return bundle;
+}
+
+function buildClient() {
+    return build('client');
+}
+
+function buildWorker() {
+    return build('worker');
+}
+
+function buildCodec() {
+    return build('codec');
+}
+
+module.exports = {
+    CLIENT_PATH,
+    WORKER_PATH,
+    WORKER_SCOPE,
+    CODEC_PATH,
+    buildClient,
+    buildWorker,
+    buildCodec
+};
@@ -0,0 +1,9 @@
+// Bundle entry exposing the server's URL codec to BlissFly's own pages, which build /watch links themselves
+const { configure } = require('../rewrite/codec.js');
+const { configure: configureUrl, proxyUrl } = require('../rewrite/url.js');
+
+configureUrl(__BLISSFLY_URL__);
+window.BlissFlyCodec = {
+    ...configure(__BLISSFLY_URL__.codec),
+    proxyUrl: href => proxyUrl(href)
+};
@@ -0,0 +1,97 @@
+// Presents document.cookie as the jar of the proxied origin instead of the shared BlissFly origin.
+class BlissFlyCookie {
+    constructor(ctx) {
+        this.ctx = ctx;
+        this.window = ctx.window;
+        this.meta = ctx.meta;
+        this.endpoint = '/api/cookies';
+        this.fetch = this.window.fetch.bind(this.window);
+        this.cookies = this.parse(this.meta.cookies || '');
+    }
+
+    parse(cookieString) {
+        const cookies = new Map();
+        for (const part of cookieString.split(';')) {
+            const index = part.indexOf('=');
+            const name = (index < 0 ? '' : part.slice(0, index)).trim();
+            const value = (index < 0 ? part : part.slice(index + 1)).trim();
+            if (name || value) cookies.set(name, value);
+        }
+        return cookies;
+    }
+
+    get() {
+        return Array.from(this.cookies.entries())
+            .map(([name, value]) => name ? `${name}=${value}` : value)
+            .join('; ');
+    }
+
+    set(header) {
+        const [pair, ...attributes] = String(header).split(';');
+        const index = pair.indexOf('=');
+        const name = (index < 0 ? '' : pair.slice(0, index)).trim();
+        const value = (index < 0 ? pair : pair.slice(index + 1)).trim();
+        let expired = false;
+
+        for (const attribute of attributes) {
+            const [key, attrValue = ''] = attribute.split('=');
+            switch (key.trim().toLowerCase()) {
+                case 'httponly':
+                    // Browsers drop script-set HttpOnly cookies entirely
+                    return;
+                case 'max-age':
+                    expired = parseInt(attrValue, 10) <= 0;
+                    break;
+                case 'expires':
+                    expired = expired || Date.parse(attrValue.trim()) <= Date.now();
+                    break;
+            }
+        }
+
+        if (!name && !value) return;
+        if (expired) {
+            this.cookies.delete(name);
+        } else {
+            this.cookies.set(name, value);
+        }
+
+        this.sync(String(header));
+    }
+
+    currentUrl() {
+        return this.ctx.location ? this.ctx.location.url.href : this.meta.url;
+    }
+
+    // Stores the cookie server-side so it is attached to upstream requests, then adopts the server's view
+    sync(header) {
+        return this.fetch(this.endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ url: this.currentUrl(), cookie: header }),
+            credentials: 'same-origin',
+            keepalive: true
+        })
+            .then(response => response.json())
+            .then(data => {
+                if (typeof data.cookie === 'string') {
+                    this.cookies = this.parse(data.cookie);
+                }
+            })
+            .catch(() => {});
+    }
+
+    overrideDocumentCookie() {
+        this.ctx.overrideDescriptor(this.window.Document.prototype, 'cookie', {
+            get: (target, that) => {
+                const event = this.ctx.dispatch('getCookies', { value: this.get() }, target, that);
+                return event.intercepted ? event.returnValue : event.data.value;
+            },
+            set: (target, that, [value]) => {
+                const event = this.ctx.dispatch('setCookie', { value }, target, that);
+                if (!event.intercepted) this.set(event.data.value);
+            }
+        });
+    }
+}
+
+module.exports = BlissFlyCookie;
@@ -0,0 +1,28 @@
+// Sends window.fetch requests through /watch so they reach the target site with its cookie jar.
+class BlissFlyFetch {
+    constructor(ctx) {
+        this.ctx = ctx;
+        this.window = ctx.window;
+    }
+
+    isRequest(input) {
+        return Boolean(this.window.Request) && input instanceof this.window.Request;
+    }
+
+    overrideFetch() {
+        this.ctx.override(this.window, 'fetch', (target, that, args) => {
+            const [input, options] = args;
+            const url = this.isRequest(input) ? input.url : String(input);
+            const event = this.ctx.dispatch('fetch', { input, options, url: this.ctx.location.target(url) }, target, that);
+            if (event.intercepted) return event.returnValue;
+
+            const proxied = this.ctx.accessors.url(event.data.url);
+            const request = this.isRequest(event.data.input)
+                ? new this.window.Request(proxied, event.data.input)
+                : proxied;
+            return target.call(that, request, event.data.options);
+        });
+    }
+}
+
+module.exports = BlissFlyFetch;
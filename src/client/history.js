@@ -0,0 +1,41 @@
+// Wraps the History API so SPA routers push target URLs while the address bar gets their proxied form.
+class BlissFlyHistory {
+    constructor(ctx) {
+        this.ctx = ctx;
+        this.window = ctx.window;
+        this.History = ctx.window.History;
+    }
+
+    // Converts a pushState/replaceState URL argument the way the browser would, against the target URL
+    proxyStateUrl(url) {
+        const current = this.ctx.location.url;
+        const target = new URL(String(url), current);
+
+        if (target.origin !== current.origin) {
+            throw new this.window.DOMException(
+                `Failed to execute history method: a history state object with URL '${target.href}' ` +
+                `cannot be created in a document with origin '${current.origin}'.`,
+                'SecurityError'
+            );
+        }
+
+        return this.ctx.location.proxy(target.href);
+    }
+
+    overrideHistory() {
+        for (const method of ['pushState', 'replaceState']) {
+            this.ctx.override(this.History.prototype, method, (target, that, args) => {
+                const [state, title, url] = args;
+                const event = this.ctx.dispatch(method, { state, title, url }, target, that);
+                if (event.intercepted) return event.returnValue;
+
+                if (event.data.url === undefined || event.data.url === null) {
+                    return target.call(that, event.data.state, event.data.title);
+                }
+                return target.call(that, event.data.state, event.data.title, this.proxyStateUrl(event.data.url));
+            });
+        }
+    }
+}
+
+module.exports = BlissFlyHistory;
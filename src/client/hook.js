@@ -12,3 +12,5 @@ class HookEvent {
         this.intercepted = true;
     }
 }
+
+module.exports = HookEvent;
@@ -1,6 +1,17 @@
 const EventEmitter = require('events');
 const BlissFlyWebSocket = require('./websocket.js');
 const HookEvent = require('./hook.js');
+const BlissFlyLocation = require('./location.js');
+const BlissFlyHistory = require('./history.js');
+const BlissFlyCookie = require('./cookie.js');
+const BlissFlyAccessors = require('./accessors.js');
+const BlissFlyFetch = require('./fetch.js');
+const BlissFlyXhr = require('./xhr.js');
+const BlissFlyMessage = require('./message.js');
+const BlissFlyNavigator = require('./navigator.js');
+
+// Own properties of native constructors that should survive wrapping (WebSocket.OPEN etc.)
+const SKIPPED_STATICS = ['prototype', 'name', 'length', 'caller', 'arguments'];
 
 class BlissFlyClient extends EventEmitter {
     constructor(window, bareClient, worker) {
@@ -8,11 +19,120 @@ class BlissFlyClient extends EventEmitter {
         this.window = window;
         this.worker = worker;
         this.bareClient = bareClient;
+        this.meta = (window.__blissfly && window.__blissfly.meta) || {};
+        this.nativeMethods = new WeakMap();
+
+        this.location = new BlissFlyLocation(this);
+        this.history = new BlissFlyHistory(this);
+        this.cookie = new BlissFlyCookie(this);
+        this.accessors = new BlissFlyAccessors(this);
+        this.fetch = new BlissFlyFetch(this);
+        this.xhr = new BlissFlyXhr(this);
+        this.message = new BlissFlyMessage(this);
+        this.navigator = new BlissFlyNavigator(this);
         this.websocket = new BlissFlyWebSocket(this);
     }
 
+    // Installs every override on the window; runs before any page script
+    init() {
+        this.overrideFunctionToString();
+        this.location.overrideDocument();
+        this.history.overrideHistory();
+        this.cookie.overrideDocumentCookie();
+        this.fetch.overrideFetch();
+        this.xhr.overrideXhr();
+        this.message.overridePostMessage();
+        this.navigator.overrideOpen();
+        this.navigator.overrideSendBeacon();
+        this.navigator.overrideEventSource();
+        this.websocket.overrideWebSocket();
+        this.accessors.install(this);
+        this.registerServiceWorker();
+        return this;
+    }
+
+    // Service-worker mode catches the requests the overrides above cannot see; where service workers
+    // are unavailable (insecure origins, private browsing, workers) the overrides carry on alone
+    registerServiceWorker() {
+        const options = this.meta.serviceWorker;
+        const container = this.window.navigator.serviceWorker;
+        if (!options || !container || this.window.isSecureContext === false) return null;
+
+        return container.register(options.path, { scope: options.scope })
+            .catch(() => null);
+    }
+
     createWebSocket(url, protocols) {
-        return this.bareClient.createWebSocket(url, protocols);
+        return this.websocket.create(url, protocols);
+    }
+
+    // Emits a HookEvent so integrators can inspect or change event.data, or short-circuit with respondWith
+    dispatch(name, data, target = null, that = null) {
+        const event = new HookEvent(data, target, that);
+        this.emit(name, event);
+        return event;
+    }
+
+    // Replaces obj[prop] with a function that calls wrapper(original, thisArg, args).
+    // Pass construct for constructors so `new obj[prop](...)` keeps working.
+    override(obj, prop, wrapper, construct = false) {
+        if (!obj || typeof obj[prop] !== 'function') return null;
+        const wrapped = this.wrap(obj[prop], wrapper, construct);
+        obj[prop] = wrapped;
+        return wrapped;
+    }
+
+    // Replaces the accessor obj[prop]; wrappers receive (original, thisArg) for get and (original, thisArg, [value]) for set
+    overrideDescriptor(obj, prop, wrappers = {}) {
+        const descriptor = obj && Object.getOwnPropertyDescriptor(obj, prop);
+        if (!descriptor) return null;
+
+        const replaced = { ...descriptor };
+        for (const key of ['get', 'set']) {
+            if (wrappers[key] && descriptor[key]) {
+                replaced[key] = this.wrap(descriptor[key], wrappers[key]);
+            }
+        }
+
+        Object.defineProperty(obj, prop, replaced);
+        return replaced;
+    }
+
+    wrap(original, wrapper, construct = false) {
+        // Constructor wrappers also get new.target so they can tell `new X()` from `X()`
+        const wrapped = construct
+            ? function(...args) {
+                return wrapper(original, this, args, new.target);
+            }
+            : function(...args) {
+                return wrapper(original, this, args);
+            };
+
+        Object.defineProperty(wrapped, 'name', { value: original.name, configurable: true });
+        Object.defineProperty(wrapped, 'length', { value: original.length, configurable: true });
+
+        if (construct) {
+            for (const [key, descriptor] of Object.entries(Object.getOwnPropertyDescriptors(original))) {
+                if (!SKIPPED_STATICS.includes(key)) Object.defineProperty(wrapped, key, descriptor);
+            }
+            wrapped.prototype = original.prototype;
+            Object.defineProperty(wrapped.prototype, 'constructor', {
+                value: wrapped,
+                writable: true,
+                configurable: true
+            });
+        }
+
+        this.nativeMethods.set(wrapped, original);
+        return wrapped;
+    }
+
+    // Wrapped functions still stringify as the native code they replaced
+    overrideFunctionToString() {
+        const nativeMethods = this.nativeMethods;
+        this.override(this.window.Function.prototype, 'toString', (target, that, args) => {
+            return target.apply(nativeMethods.get(that) || that, args);
+        });
     }
 }
 
@@ -0,0 +1,145 @@
+const { getCodec } = require('../rewrite/codec.js');
+const { proxyUrl, parseProxyPath } = require('../rewrite/url.js');
+
+// Emulated Location for proxied pages: page scripts see the target URL while the address bar keeps
+// the proxied /watch form.
+class BlissFlyLocation {
+    constructor(ctx) {
+        this.ctx = ctx;
+        this.window = ctx.window;
+        this.location = ctx.window.location;
+        this.emulated = this.createLocation();
+    }
+
+    // Target URL of the current page, as the page itself should see it
+    get url() {
+        const target = new URL(this.unproxy(this.location.href) || this.ctx.meta.url);
+        target.hash = this.location.hash;
+        return target;
+    }
+
+    // Builds the /watch address for an absolute URL, keeping the fragment visible to the browser
+    proxy(url) {
+        return proxyUrl(url);
+    }
+
+    // Form a target URL takes in the ?url= parameter of proxy addresses
+    encode(url) {
+        return getCodec().encode(url);
+    }
+
+    // Recovers the target from a proxied address, or null for anything that is not one
+    unproxy(href) {
+        try {
+            const proxied = new URL(href, this.location.href);
+            const parsed = proxied.origin === this.location.origin ? parseProxyPath(proxied.pathname + proxied.search) : null;
+            if (!parsed) return null;
+
+            const target = new URL(parsed.url);
+            if (proxied.hash) target.hash = proxied.hash;
+            return target.href;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    resolve(url) {
+        return new URL(String(url), this.url).href;
+    }
+
+    // Target URL a page-supplied request URL points at; addresses on the proxy origin belong to the target site
+    target(url) {
+        const unproxied = this.unproxy(String(url));
+        if (unproxied) return unproxied;
+
+        const target = new URL(String(url), this.url);
+        if (/^https?:$/.test(target.protocol) && target.origin === this.location.origin) {
+            const current = this.url;
+            target.protocol = current.protocol;
+            target.host = current.host;
+        }
+        return target.href;
+    }
+
+    assign(url) {
+        this.location.assign(this.proxy(this.resolve(url)));
+    }
+
+    replace(url) {
+        this.location.replace(this.proxy(this.resolve(url)));
+    }
+
+    set(key, value) {
+        if (key === 'href') return this.assign(value);
+        // Fragment changes stay on the real location so the browser fires hashchange itself
+        if (key === 'hash') {
+            this.location.hash = value;
+            return;
+        }
+
+        const target = this.url;
+        target[key] = value;
+        this.assign(target.href);
+    }
+
+    createLocation() {
+        const self = this;
+        const emulated = {};
+
+        for (const key of ['href', 'origin', 'protocol', 'host', 'hostname', 'port', 'pathname', 'search', 'hash']) {
+            Object.defineProperty(emulated, key, {
+                enumerable: true,
+                get() {
+                    return self.url[key];
+                },
+                set: key === 'origin' ? undefined : function(value) {
+                    self.set(key, value);
+                }
+            });
+        }
+
+        Object.defineProperties(emulated, {
+            assign: { value: url => self.assign(url) },
+            replace: { value: url => self.replace(url) },
+            reload: { value: () => self.location.reload() },
+            toString: { value: () => self.url.href },
+            valueOf: { value: () => emulated },
+            ancestorOrigins: { get: () => self.location.ancestorOrigins }
+        });
+
+        return emulated;
+    }
+
+    // Document and event properties that expose the page address
+    overrideDocument() {
+        const self = this;
+        const win = this.window;
+        const unproxied = (target, that) => {
+            const value = target.call(that);
+            return self.unproxy(value) || value;
+        };
+
+        this.ctx.overrideDescriptor(win.Document.prototype, 'URL', { get: () => self.url.href });
+        this.ctx.overrideDescriptor(win.Document.prototype, 'documentURI', { get: () => self.url.href });
+        this.ctx.overrideDescriptor(win.Document.prototype, 'referrer', {
+            get: (target, that) => {
+                const value = target.call(that);
+                return value ? self.unproxy(value) || '' : '';
+            }
+        });
+        this.ctx.overrideDescriptor(win.Node.prototype, 'baseURI', {
+            get: (target, that) => {
+                const base = win.document.querySelector('base[data-blissfly-href]');
+                if (base) return base.getAttribute('data-blissfly-href');
+                return unproxied(target, that);
+            }
+        });
+
+        if (win.HashChangeEvent) {
+            this.ctx.overrideDescriptor(win.HashChangeEvent.prototype, 'oldURL', { get: unproxied });
+            this.ctx.overrideDescriptor(win.HashChangeEvent.prototype, 'newURL', { get: unproxied });
+        }
+    }
+}
+
+module.exports = BlissFlyLocation;
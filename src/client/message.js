@@ -0,0 +1,63 @@
+// Every proxied frame shares the BlissFly origin, so targetOrigin checks and MessageEvent.origin
+// are done against the emulated origins of the frames instead.
+class BlissFlyMessage {
+    constructor(ctx) {
+        this.ctx = ctx;
+        this.window = ctx.window;
+    }
+
+    // Emulated origin of a window running the client, or null when it is not one of ours
+    originOf(win) {
+        try {
+            if (win && win.__blissfly && win.__blissfly.location) return win.__blissfly.location.url.origin;
+        } catch (e) {}
+        return null;
+    }
+
+    overridePostMessage() {
+        this.ctx.override(this.window, 'postMessage', (target, that, args) => {
+            const [message, second, transfer] = args;
+            const options = second && typeof second === 'object' && !Array.isArray(second) ? second : null;
+            const targetOrigin = options ? options.targetOrigin || '/' : second;
+
+            const event = this.ctx.dispatch('postMessage', { message, targetOrigin, transfer: options ? options.transfer : transfer }, target, that);
+            if (event.intercepted) return event.returnValue;
+
+            const { data } = event;
+            const deliver = realOrigin => data.transfer
+                ? target.call(that, data.message, realOrigin, data.transfer)
+                : target.call(that, data.message, realOrigin);
+
+            // '/' means the sender's own origin, which for a proxied page is its emulated one
+            let origin = null;
+            if (data.targetOrigin === '/') {
+                origin = this.ctx.location.url.origin;
+            } else if (data.targetOrigin !== '*') {
+                try {
+                    origin = new URL(String(data.targetOrigin)).origin;
+                } catch (e) {
+                    throw new this.window.DOMException(`Invalid target origin '${data.targetOrigin}' in a call to 'postMessage'.`, 'SyntaxError');
+                }
+            }
+            if (origin === null) return deliver('*');
+
+            // Mismatched targetOrigin drops the message silently, like the browser does. A receiver that does
+            // not run the client is left to the browser's own check, which only a window really at that
+            // origin passes; one that does is ours, so the message is held to the BlissFly origin.
+            const receiver = this.originOf(that);
+            if (receiver === null) return deliver(origin);
+            return receiver === origin ? deliver(this.window.location.origin) : undefined;
+        });
+
+        if (this.window.MessageEvent) {
+            this.ctx.overrideDescriptor(this.window.MessageEvent.prototype, 'origin', {
+                get: (target, that) => {
+                    const value = target.call(that);
+                    return (value === this.window.location.origin && this.originOf(that.source)) || value;
+                }
+            });
+        }
+    }
+}
+
+module.exports = BlissFlyMessage;
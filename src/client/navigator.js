@@ -0,0 +1,42 @@
+// Other APIs that take a URL from the page: window.open, navigator.sendBeacon and EventSource.
+class BlissFlyNavigator {
+    constructor(ctx) {
+        this.ctx = ctx;
+        this.window = ctx.window;
+    }
+
+    overrideOpen() {
+        this.ctx.override(this.window, 'open', (target, that, args) => {
+            const [url, name, features] = args;
+            const event = this.ctx.dispatch('open', { url, name, features }, target, that);
+            if (event.intercepted) return event.returnValue;
+
+            const { data } = event;
+            // An empty URL opens about:blank, which has nothing to proxy
+            const proxied = data.url === undefined || data.url === '' ? data.url : this.ctx.accessors.url(this.ctx.location.target(data.url));
+            return target.call(that, proxied, data.name, data.features);
+        });
+    }
+
+    overrideSendBeacon() {
+        if (!this.window.Navigator) return;
+        this.ctx.override(this.window.Navigator.prototype, 'sendBeacon', (target, that, args) => {
+            const [url, body] = args;
+            const event = this.ctx.dispatch('sendBeacon', { url: this.ctx.location.target(url), body }, target, that);
+            if (event.intercepted) return event.returnValue;
+            return target.call(that, this.ctx.accessors.url(event.data.url), event.data.body);
+        });
+    }
+
+    overrideEventSource() {
+        this.ctx.override(this.window, 'EventSource', (target, that, args, newTarget) => {
+            const [url, config] = args;
+            const event = this.ctx.dispatch('eventSource', { url: this.ctx.location.target(url), config }, target, that);
+            if (event.intercepted) return event.returnValue;
+            if (!newTarget) return target.call(that, url, config);
+            return new target(this.ctx.accessors.url(event.data.url), event.data.config);
+        }, true);
+    }
+}
+
+module.exports = BlissFlyNavigator;
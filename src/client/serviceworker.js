@@ -0,0 +1,10 @@
+// Bundle entry for the optional service worker registered by the client runtime
+const { configure } = require('../rewrite/codec.js');
+const { configure: configureUrl } = require('../rewrite/url.js');
+const BlissFlyServiceWorker = require('./worker.js');
+
+// The server's URL codec and address format, inlined at bundle time
+configure(__BLISSFLY_URL__.codec);
+configureUrl(__BLISSFLY_URL__);
+
+new BlissFlyServiceWorker(self).listen();
@@ -1,5 +1,13 @@
 const EventEmitter = require('events');
 
+// Upgrade path served by the proxy's WebSocket tunnel
+const TUNNEL_PATH = '/blissfly/ws';
+
+const HANDLER_EVENTS = ['open', 'message', 'error', 'close'];
+
+// Page sockets are fake WebSocket instances backed by a native socket to the tunnel. The native socket
+// already has the exact readyState, bufferedAmount, send/close validation and event order a direct
+// connection would have, so the fake forwards to it and only reports the target URL as its own.
 class BlissFlyWebSocket extends EventEmitter {
     constructor(ctx) {
         super();
@@ -10,20 +18,157 @@ class BlissFlyWebSocket extends EventEmitter {
         this.socketMap = new WeakMap();
     }
 
-    overrideWebSocket(client) {
+    // Socket URL on the target site, resolved the way the WebSocket constructor resolves it
+    resolveUrl(url) {
+        let target;
+        try {
+            target = new URL(this.ctx.location.target(url));
+        } catch (e) {
+            target = null;
+        }
+
+        if (target && target.protocol === 'http:') target.protocol = 'ws:';
+        if (target && target.protocol === 'https:') target.protocol = 'wss:';
+        if (!target || !['ws:', 'wss:'].includes(target.protocol)) {
+            throw new this.window.DOMException(
+                `Failed to construct 'WebSocket': The URL '${url}' is invalid.`,
+                'SyntaxError'
+            );
+        }
+
+        target.hash = '';
+        return target.href;
+    }
+
+    tunnelUrl(url) {
+        const tunnel = new URL(TUNNEL_PATH, this.window.location.href);
+        tunnel.protocol = tunnel.protocol === 'https:' ? 'wss:' : 'ws:';
+        tunnel.searchParams.set('url', this.ctx.location.encode(url));
+        tunnel.searchParams.set('origin', this.ctx.location.url.origin);
+        return tunnel.href;
+    }
+
+    create(url, protocols) {
+        // The native constructor validates the subprotocol list and throws the same errors a direct socket would
+        const socket = protocols === undefined
+            ? new this.WebSocket(this.tunnelUrl(url))
+            : new this.WebSocket(this.tunnelUrl(url), protocols);
+
+        const fake = new this.window.EventTarget();
+        Object.setPrototypeOf(fake, this.wsProto);
+        this.socketMap.set(fake, { socket, url, handlers: {} });
+
+        for (const type of HANDLER_EVENTS) {
+            socket.addEventListener(type, event => fake.dispatchEvent(this.cloneEvent(event, url)));
+        }
+        return fake;
+    }
+
+    cloneEvent(event, url) {
+        const win = this.window;
+        switch (event.type) {
+            case 'message':
+                return new win.MessageEvent('message', {
+                    data: event.data,
+                    origin: new URL(url).origin,
+                    lastEventId: '',
+                    source: null,
+                    ports: []
+                });
+            case 'close':
+                return new win.CloseEvent('close', {
+                    wasClean: event.wasClean,
+                    code: event.code,
+                    reason: event.reason
+                });
+            default:
+                return new win.Event(event.type);
+        }
+    }
+
+    // on* attributes behave like listeners registered when the attribute is first set
+    setHandler(fake, state, type, value) {
+        const first = !(type in state.handlers);
+        state.handlers[type] = typeof value === 'function' || (value && typeof value === 'object') ? value : null;
+
+        if (first) {
+            fake.addEventListener(type, function(event) {
+                const handler = state.handlers[type];
+                if (typeof handler === 'function') return handler.call(this, event);
+            });
+        }
+    }
+
+    overrideWebSocket() {
         this.ctx.override(
             this.window,
             "WebSocket",
-            (target, that, args) => {
-                const fakeWS = new EventTarget();
-                Object.setPrototypeOf(fakeWS, this.wsProto);
-                const ws = client.createWebSocket(args[0], args[1], null, {
-                    "User-Agent": navigator.userAgent,
-                    Origin: location.origin,
-                });
-                this.socketMap.set(fakeWS, ws);
-                return fakeWS;
-            }
+            (target, that, args, newTarget) => {
+                // Calling WebSocket without new throws the native TypeError
+                if (!newTarget) return target.apply(that, args);
+
+                const [url, protocols] = args;
+                const event = this.ctx.dispatch("websocket", { url: this.resolveUrl(url), protocols }, target, that);
+                if (event.intercepted) return event.returnValue;
+
+                return this.create(event.data.url, event.data.protocols);
+            },
+            true
         );
+
+        this.overrideSocketPrototype();
+    }
+
+    overrideSocketPrototype() {
+        const proto = this.wsProto;
+        const stateOf = that => this.socketMap.get(that);
+
+        this.ctx.overrideDescriptor(proto, 'url', {
+            get: (target, that) => stateOf(that) ? stateOf(that).url : target.call(that)
+        });
+
+        for (const property of ['readyState', 'bufferedAmount', 'protocol', 'extensions', 'binaryType']) {
+            this.ctx.overrideDescriptor(proto, property, {
+                get: (target, that) => {
+                    const state = stateOf(that);
+                    return target.call(state ? state.socket : that);
+                },
+                set: (target, that, [value]) => {
+                    const state = stateOf(that);
+                    return target.call(state ? state.socket : that, value);
+                }
+            });
+        }
+
+        for (const type of HANDLER_EVENTS) {
+            this.ctx.overrideDescriptor(proto, 'on' + type, {
+                get: (target, that) => {
+                    const state = stateOf(that);
+                    if (!state) return target.call(that);
+                    return state.handlers[type] || null;
+                },
+                set: (target, that, [value]) => {
+                    const state = stateOf(that);
+                    if (!state) return target.call(that, value);
+                    this.setHandler(that, state, type, value);
+                }
+            });
+        }
+
+        this.ctx.override(proto, 'send', (target, that, args) => {
+            const state = stateOf(that);
+            if (!state) return target.apply(that, args);
+
+            const event = this.ctx.dispatch('websocketSend', { data: args[0] }, target, that);
+            if (event.intercepted) return event.returnValue;
+            return args.length ? target.call(state.socket, event.data.data) : target.call(state.socket);
+        });
+
+        this.ctx.override(proto, 'close', (target, that, args) => {
+            const state = stateOf(that);
+            return target.apply(state ? state.socket : that, args);
+        });
     }
 }
+
+module.exports = BlissFlyWebSocket;
@@ -0,0 +1,81 @@
+const { rewriteUrl, parseProxyPath } = require('../rewrite/url.js');
+
+// Same-origin paths that already are proxy traffic or BlissFly's own endpoints
+const PASSTHROUGH_PATHS = [/^\/watch(\/|$)/, /^\/blissfly\//, /^\/api\//, /^\/health$/];
+
+const BODYLESS_METHODS = ['GET', 'HEAD'];
+
+// Routes every request of a proxied page through /watch, including the ones the injected
+// overrides cannot see (new Image(), CSS-in-JS, fonts, URLs built after rewriting).
+class BlissFlyServiceWorker {
+    constructor(scope) {
+        this.self = scope;
+        this.origin = scope.location.origin;
+    }
+
+    listen() {
+        // Take over pages that are already open instead of waiting for their next navigation
+        this.self.addEventListener('install', () => this.self.skipWaiting());
+        this.self.addEventListener('activate', event => event.waitUntil(this.self.clients.claim()));
+        this.self.addEventListener('fetch', event => {
+            const url = new URL(event.request.url);
+            if (!['http:', 'https:'].includes(url.protocol)) return;
+            if (url.origin === this.origin && PASSTHROUGH_PATHS.some(path => path.test(url.pathname))) return;
+            event.respondWith(this.route(event));
+        });
+    }
+
+    // Recovers the target from a proxy address on the proxy origin
+    unproxy(href) {
+        try {
+            const proxied = new URL(href);
+            const parsed = proxied.origin === this.origin ? parseProxyPath(proxied.pathname + proxied.search) : null;
+            return parsed && parsed.url;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // Target URL of the page that issued a request, from its client or else its referrer
+    async pageUrl(event) {
+        const client = event.clientId ? await this.self.clients.get(event.clientId) : null;
+        return (client && this.unproxy(client.url)) || this.unproxy(event.request.referrer);
+    }
+
+    async route(event) {
+        const request = event.request;
+        const url = new URL(request.url);
+        let target = url.href;
+
+        // Root-relative URLs that escaped rewriting resolved against the proxy origin; they belong to the page's site
+        if (url.origin === this.origin) {
+            const page = await this.pageUrl(event);
+            if (!page) return fetch(request);
+            target = new URL(url.pathname + url.search, page).href;
+        }
+
+        try {
+            return await fetch(await this.proxyRequest(request, new URL(rewriteUrl(target), this.origin).href));
+        } catch (error) {
+            return Response.error();
+        }
+    }
+
+    async proxyRequest(request, url) {
+        const init = {
+            method: request.method,
+            headers: request.headers,
+            credentials: 'same-origin',
+            cache: request.cache,
+            redirect: request.redirect,
+            referrer: request.referrer,
+            signal: request.signal
+        };
+        if (!BODYLESS_METHODS.includes(request.method)) {
+            init.body = await request.arrayBuffer();
+        }
+        return new Request(url, init);
+    }
+}
+
+module.exports = BlissFlyServiceWorker;
@@ -0,0 +1,45 @@
+// Sends XMLHttpRequest traffic through /watch and reports responseURL as the target address.
+class BlissFlyXhr {
+    constructor(ctx) {
+        this.ctx = ctx;
+        this.window = ctx.window;
+        this.XMLHttpRequest = ctx.window.XMLHttpRequest;
+    }
+
+    overrideXhr() {
+        if (!this.XMLHttpRequest) return;
+        const prototype = this.XMLHttpRequest.prototype;
+
+        this.ctx.override(prototype, 'open', (target, that, args) => {
+            const [method, url, async, user, password] = args;
+            const event = this.ctx.dispatch('xhrOpen', {
+                method,
+                url: this.ctx.location.target(url),
+                async,
+                user,
+                password
+            }, target, that);
+            if (event.intercepted) return event.returnValue;
+
+            const { data } = event;
+            // open(method, url) is asynchronous, but an explicit undefined third argument means synchronous
+            const rest = args.length > 2 ? [data.async, data.user, data.password].slice(0, args.length - 2) : [];
+            return target.call(that, data.method, this.ctx.accessors.url(data.url), ...rest);
+        });
+
+        this.ctx.override(prototype, 'send', (target, that, args) => {
+            const event = this.ctx.dispatch('xhrSend', { body: args[0] }, target, that);
+            if (event.intercepted) return event.returnValue;
+            return target.call(that, event.data.body);
+        });
+
+        this.ctx.overrideDescriptor(prototype, 'responseURL', {
+            get: (target, that) => {
+                const value = target.call(that);
+                return this.ctx.location.unproxy(value) || value;
+            }
+        });
+    }
+}
+
+module.exports = BlissFlyXhr;
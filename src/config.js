@@ -0,0 +1,323 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { CODECS, DEFAULT_CODEC } = require('./rewrite/codec.js');
+const { URL_FORMATS } = require('./rewrite/url.js');
+
+const VERSION = 'v1.21';
+
+// Config files looked up in the working directory when neither --config nor BLISSFLY_CONFIG names one
+const DEFAULT_CONFIG_FILES = ['blissfly.config.json', 'blissfly.config.yaml', 'blissfly.config.yml'];
+
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+
+// Prefix of the environment variables settings are read from, so generic names such as HOST, DEBUG or
+// TIMEOUT set for other software on the machine are never picked up
+const ENV_PREFIX = 'BLISSFLY_';
+
+// Every setting BlissFly reads. Each one can come from the config file (by this name or in camelCase),
+// from the environment variable of the same name with ENV_PREFIX (or the unprefixed alias given as
+// envAlias, which the prefixed one overrides), or from a --kebab-case flag.
+// Later sources win: defaults, file, environment, flags.
+const SCHEMA = {
+    // Hosting platforms hand the port to listen on in PORT
+    PORT: { type: 'integer', default: 10000, min: 0, max: 65535, envAlias: 'PORT' },
+    HOST: { type: 'string', default: '0.0.0.0' },
+    DEBUG: { type: 'boolean', default: false },
+    KEEP_ALIVE_TIMEOUT: { type: 'integer', default: 120000, min: 0 },
+    HEADERS_TIMEOUT: { type: 'integer', default: 120000, min: 0 },
+
+    // Upstream requests
+    MAX_RETRIES: { type: 'integer', default: 3, min: 0, max: 10 },
+    // Until the response headers arrive; TIMEOUT then bounds each silence while reading the body
+    CONNECT_TIMEOUT: { type: 'integer', default: 10000, min: 100 },
+    TIMEOUT: { type: 'integer', default: 30000, min: 1000 },
+    RETRY_DELAY: { type: 'integer', default: 250, min: 0 },
+    MAX_RETRY_DELAY: { type: 'integer', default: 10000, min: 0 },
+    MAX_BODY_SIZE: { type: 'size', default: '50mb' },
+    MAX_REDIRECTS: { type: 'integer', default: 20, min: 0, max: 100 },
+    FORWARD_HEADERS: { type: 'list', default: null },
+    // Destination filtering; host patterns take * wildcards, e.g. *.example.com
+    ALLOWED_HOSTS: { type: 'list', default: null },
+    BLOCKED_HOSTS: { type: 'list', default: null },
+    // Lets the proxy reach loopback, private and link-local addresses; only for local development
+    ALLOW_PRIVATE_ADDRESSES: { type: 'boolean', default: false },
+    BLOCKED_RESPONSE_HEADERS: { type: 'list', default: null },
+
+    // Access control; setting a password or tokens turns the login on
+    AUTH_PASSWORD: { type: 'string', default: null, secret: true },
+    AUTH_TOKENS: { type: 'list', default: null, secret: true },
+    // Signs login cookies; without it every restart signs everyone out
+    AUTH_SECRET: { type: 'string', default: null, secret: true },
+    AUTH_TTL: { type: 'integer', default: 604800000, min: 60000 },
+
+    // Per-client token buckets (0 turns a limit off) and upstream concurrency caps
+    RATE_LIMIT: { type: 'integer', default: 600, min: 0 },
+    RATE_LIMIT_BURST: { type: 'integer', default: 100, min: 1 },
+    WS_RATE_LIMIT: { type: 'integer', default: 1200, min: 0 },
+    WS_RATE_LIMIT_BURST: { type: 'integer', default: 200, min: 1 },
+    RATE_LIMIT_KEY: { type: 'enum', default: 'ip', values: ['ip', 'session'] },
+    // Reverse proxies whose X-Forwarded-For is believed, as Express's "trust proxy" takes it: true, a hop
+    // count, or addresses and subnets such as loopback or 10.0.0.0/8. Off, every client shares the proxy's IP.
+    TRUST_PROXY: { type: 'trust', default: false },
+    UPSTREAM_CONCURRENCY: { type: 'integer', default: 64, min: 1 },
+    UPSTREAM_HOST_CONCURRENCY: { type: 'integer', default: 8, min: 1 },
+    UPSTREAM_QUEUE_SIZE: { type: 'integer', default: 256, min: 0 },
+    UPSTREAM_QUEUE_TIMEOUT: { type: 'integer', default: 30000, min: 100 },
+
+    // Cache and sessions
+    MAX_CACHE_SIZE: { type: 'integer', default: 5000, min: 1 },
+    CACHE_MAX_BYTES: { type: 'size', default: '256mb' },
+    // Larger responses are streamed through without being cached
+    CACHE_MAX_ENTRY_SIZE: { type: 'size', default: '8mb' },
+    // Optional disk tier for large responses; set a directory to turn it on
+    DISK_CACHE_DIR: { type: 'string', default: null },
+    DISK_CACHE_MAX_BYTES: { type: 'size', default: '1gb' },
+    DISK_CACHE_MIN_ENTRY_SIZE: { type: 'size', default: '64kb' },
+    DISK_CACHE_MAX_ENTRY_SIZE: { type: 'size', default: '100mb' },
+    // Default lifetime of cached values; also caps heuristic freshness and how long stale responses wait for revalidation
+    CACHE_TTL: { type: 'integer', default: 600000, min: 0 },
+    SESSION_TTL: { type: 'integer', default: 86400000, min: 60000 },
+
+    // Rewriters
+    MAX_REWRITE_BUFFER: { type: 'size', default: '10mb' },
+    JS_CACHE_SIZE: { type: 'size', default: '32mb' },
+    SERVICE_WORKER: { type: 'boolean', default: false },
+    URL_CODEC: { type: 'enum', default: DEFAULT_CODEC, values: Object.keys(CODECS) },
+    URL_FORMAT: { type: 'enum', default: 'path', values: URL_FORMATS },
+    // Without a configured secret, obfuscated links only stay valid until the next restart
+    URL_SECRET: { type: 'string', default: null, secret: true },
+    // Compression of text responses to the browser, negotiated from Accept-Encoding
+    COMPRESSION: { type: 'boolean', default: true },
+    // 1 (fastest) to 9 (smallest), for gzip and deflate as well as the Brotli quality
+    COMPRESSION_LEVEL: { type: 'integer', default: 6, min: 1, max: 9 },
+
+    // WebSockets
+    WS_PING_INTERVAL: { type: 'integer', default: 30000, min: 1000 },
+    WS_MAX_PAYLOAD: { type: 'size', default: '100mb' },
+
+    // Home page search; %s in the templates is replaced with the encoded query
+    SEARCH_ENGINE: { type: 'template', default: 'https://duckduckgo.com/?q=%s' },
+    SUGGEST_URL: { type: 'template', default: 'https://duckduckgo.com/ac/?q=%s&type=list', optional: true },
+    SUGGEST_TIMEOUT: { type: 'integer', default: 5000, min: 100 },
+    MAX_SUGGESTIONS: { type: 'integer', default: 8, min: 1, max: 20 }
+};
+
+class ConfigError extends Error {
+    constructor(problems) {
+        super('Invalid configuration:\n  ' + problems.join('\n  '));
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+// maxRedirects, max-redirects and MAX_REDIRECTS all name the same setting
+function settingName(key) {
+    return String(key)
+        .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+        .replace(/-/g, '_')
+        .toUpperCase();
+}
+
+function flagName(name) {
+    return '--' + name.toLowerCase().replace(/_/g, '-');
+}
+
+function parseSize(value) {
+    if (typeof value === 'number') return value;
+    const match = /^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i.exec(String(value).trim());
+    if (!match) return NaN;
+    return Math.floor(parseFloat(match[1]) * SIZE_UNITS[(match[2] || 'b').toLowerCase()]);
+}
+
+// Converts a raw value (strings from env and flags, anything from files) to the setting's type
+function coerce(name, spec, raw) {
+    if (raw === null || raw === undefined) return { value: null };
+
+    switch (spec.type) {
+        case 'integer': {
+            const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+            if (!Number.isInteger(value)) return { error: `${name} must be an integer, got ${JSON.stringify(raw)}` };
+            if (spec.min !== undefined && value < spec.min) return { error: `${name} must be at least ${spec.min}, got ${value}` };
+            if (spec.max !== undefined && value > spec.max) return { error: `${name} must be at most ${spec.max}, got ${value}` };
+            return { value };
+        }
+        case 'boolean': {
+            if (typeof raw === 'boolean') return { value: raw };
+            const text = String(raw).trim().toLowerCase();
+            if (['true', '1', 'yes', 'on'].includes(text)) return { value: true };
+            if (['false', '0', 'no', 'off', ''].includes(text)) return { value: false };
+            return { error: `${name} must be a boolean, got ${JSON.stringify(raw)}` };
+        }
+        case 'trust': {
+            // A boolean, a hop count, or a list of addresses and subnets
+            const text = String(raw).trim().toLowerCase();
+            if (['true', 'false', 'yes', 'no', 'on', 'off', ''].includes(text)) {
+                return coerce(name, { type: 'boolean' }, raw);
+            }
+            if (/^\d+$/.test(text)) return { value: parseInt(text, 10) };
+            return coerce(name, { type: 'list' }, raw);
+        }
+        case 'size': {
+            const value = parseSize(raw);
+            if (!Number.isFinite(value) || value <= 0) return { error: `${name} must be a positive size such as 512kb or 10mb, got ${JSON.stringify(raw)}` };
+            return { value };
+        }
+        case 'list': {
+            const list = Array.isArray(raw) ? raw : String(raw).split(',');
+            const value = list.map(item => String(item).trim()).filter(Boolean);
+            return { value: value.length ? value : null };
+        }
+        case 'enum': {
+            const value = String(raw).trim();
+            if (!spec.values.includes(value)) return { error: `${name} must be one of ${spec.values.join(', ')}, got ${JSON.stringify(raw)}` };
+            return { value };
+        }
+        case 'template': {
+            const value = String(raw).trim();
+            if (!value && spec.optional) return { value: '' };
+            let url;
+            try {
+                url = new URL(value.replace('%s', 'test'));
+            } catch (e) {
+                return { error: `${name} must be an absolute URL, got ${JSON.stringify(raw)}` };
+            }
+            if (!['http:', 'https:'].includes(url.protocol) || !value.includes('%s')) {
+                return { error: `${name} must be an http(s) URL containing %s, got ${JSON.stringify(raw)}` };
+            }
+            return { value };
+        }
+        default:
+            return { value: String(raw) };
+    }
+}
+
+function readConfigFile(file) {
+    const text = fs.readFileSync(file, 'utf8');
+    const data = /\.ya?ml$/i.test(file) ? require('yaml').parse(text) : JSON.parse(text);
+    if (data === null || data === undefined) return {};
+    if (typeof data !== 'object' || Array.isArray(data)) {
+        throw new ConfigError([`${file} must contain an object of settings`]);
+    }
+    return data;
+}
+
+// --name value, --name=value, --flag for booleans and --no-flag to turn one off
+function parseArgs(argv) {
+    const values = {};
+    const problems = [];
+    let configFile = null;
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const match = /^--(no-)?([a-z0-9-]+)(?:=(.*))?$/i.exec(arg);
+        if (!match) {
+            problems.push(`Unexpected argument ${arg}`);
+            continue;
+        }
+
+        const [, negated, flag, inline] = match;
+        // The value is the inline one or the next argument, unless that is another flag
+        const hasValue = () => i + 1 < argv.length && !argv[i + 1].startsWith('--');
+        const takeValue = () => {
+            if (inline !== undefined) return inline;
+            if (hasValue()) return argv[++i];
+            problems.push(`--${flag} needs a value`);
+            return undefined;
+        };
+
+        if (flag === 'config') {
+            configFile = takeValue() || null;
+            continue;
+        }
+
+        const name = settingName(flag);
+        const spec = SCHEMA[name];
+        if (!spec) {
+            problems.push(`Unknown option ${flagName(name)}`);
+        } else if (inline === undefined && (spec.type === 'boolean' || spec.type === 'trust' && !hasValue())) {
+            // --trust-proxy on its own trusts every proxy, like --trust-proxy=true
+            values[name] = !negated;
+        } else if (negated) {
+            problems.push(`${flagName(name)} cannot be negated`);
+        } else {
+            const value = takeValue();
+            if (value !== undefined) values[name] = value;
+        }
+    }
+
+    return { values, configFile, problems };
+}
+
+function findConfigFile(cwd) {
+    return DEFAULT_CONFIG_FILES
+        .map(file => path.join(cwd, file))
+        .find(file => fs.existsSync(file)) || null;
+}
+
+// Builds the frozen configuration object every subsystem reads; throws ConfigError listing every problem found
+function loadConfig(options = {}) {
+    const env = options.env || process.env;
+    const cwd = options.cwd || process.cwd();
+    const args = parseArgs(options.argv || process.argv.slice(2));
+    const problems = [...args.problems];
+    const sources = {};
+
+    const configFile = args.configFile || env.BLISSFLY_CONFIG || findConfigFile(cwd);
+    if (configFile) {
+        let data = {};
+        try {
+            data = readConfigFile(path.resolve(cwd, configFile));
+        } catch (error) {
+            if (error instanceof ConfigError) throw error;
+            throw new ConfigError([`Could not read config file ${configFile}: ${error.message}`]);
+        }
+
+        for (const [key, value] of Object.entries(data)) {
+            const name = settingName(key);
+            if (SCHEMA[name]) {
+                sources[name] = value;
+            } else {
+                problems.push(`Unknown setting ${key} in ${configFile}`);
+            }
+        }
+    }
+
+    for (const [name, spec] of Object.entries(SCHEMA)) {
+        const variable = [ENV_PREFIX + name, spec.envAlias].find(key => key && env[key] !== undefined);
+        if (variable) sources[name] = env[variable];
+    }
+    Object.assign(sources, args.values);
+
+    const config = { VERSION, CONFIG_FILE: configFile || null };
+    for (const [name, spec] of Object.entries(SCHEMA)) {
+        const raw = Object.prototype.hasOwnProperty.call(sources, name) ? sources[name] : spec.default;
+        const { value, error } = coerce(name, spec, raw);
+        if (error) problems.push(error);
+        config[name] = value;
+    }
+
+    if (!config.URL_SECRET) {
+        config.URL_SECRET = crypto.randomBytes(32).toString('hex');
+    }
+
+    if (problems.length) throw new ConfigError(problems);
+    return Object.freeze(config);
+}
+
+// Configuration with secrets masked, for logs and diagnostics
+function describeConfig(config) {
+    const visible = {};
+    for (const [name, value] of Object.entries(config)) {
+        visible[name] = SCHEMA[name] && SCHEMA[name].secret && value ? '********' : value;
+    }
+    return visible;
+}
+
+module.exports = {
+    SCHEMA,
+    VERSION,
+    ConfigError,
+    loadConfig,
+    describeConfig
+};
@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const { parseCookieHeader } = require('./cookies.js');
+
+const AUTH_COOKIE = 'blissfly_auth';
+const LOGIN_PATH = '/login';
+const LOGOUT_PATH = '/logout';
+
+// Routes anyone may reach: the login form itself and the health check used by load balancers
+const PUBLIC_PATHS = [LOGIN_PATH, '/health'];
+
+function sha256(text) {
+    return crypto.createHash('sha256').update(String(text)).digest();
+}
+
+// Constant-time comparison that also hides the length of the expected value
+function safeEqual(a, b) {
+    return crypto.timingSafeEqual(sha256(a), sha256(b));
+}
+
+// Optional shared-password or token access to the whole instance. A successful login issues a signed
+// cookie naming the credential it was issued for, so removing a token from the config also ends the
+// sessions it opened. Tokens can also be sent directly as "Authorization: Bearer <token>".
+class AccessControl {
+    constructor(options = {}) {
+        this.password = options.password || null;
+        this.tokens = (options.tokens || []).filter(Boolean);
+        this.secret = options.secret || crypto.randomBytes(32).toString('hex');
+        this.ttl = options.ttl || 7 * 24 * 60 * 60 * 1000;
+        this.debug = Boolean(options.debug);
+        this.enabled = Boolean(this.password || this.tokens.length);
+        this.stats = { logins: 0, failedLogins: 0, rejected: 0 };
+    }
+
+    // Subject stored in the cookie for a credential, or null when the credential is wrong
+    authenticate(credential) {
+        if (!credential) return null;
+        let subject = null;
+        // Every candidate is compared so the time taken does not reveal which one matched
+        if (this.password && safeEqual(credential, this.password)) subject = 'password';
+        for (const token of this.tokens) {
+            if (safeEqual(credential, token)) subject = 'token:' + this.tokenId(token);
+        }
+        return subject;
+    }
+
+    tokenId(token) {
+        return sha256(token).toString('hex').slice(0, 16);
+    }
+
+    isSubjectValid(subject) {
+        if (subject === 'password') return Boolean(this.password);
+        return this.tokens.some(token => subject === 'token:' + this.tokenId(token));
+    }
+
+    sign(payload) {
+        return crypto.createHmac('sha256', this.secret).update(payload).digest('base64url');
+    }
+
+    issue(subject) {
+        const payload = Buffer.from(JSON.stringify({ sub: subject, exp: Date.now() + this.ttl })).toString('base64url');
+        return `${payload}.${this.sign(payload)}`;
+    }
+
+    verify(value) {
+        if (!value) return false;
+        const [payload, signature] = String(value).split('.');
+        if (!payload || !signature || !safeEqual(signature, this.sign(payload))) return false;
+
+        try {
+            const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+            return data.exp > Date.now() && this.isSubjectValid(data.sub);
+        } catch (e) {
+            return false;
+        }
+    }
+
+    // Works on plain IncomingMessages too, which is what WebSocket upgrades get
+    isAuthenticated(req) {
+        if (!this.enabled) return true;
+        if (this.verify(parseCookieHeader(req.headers.cookie)[AUTH_COOKIE])) return true;
+
+        return this.hasBearerToken(req);
+    }
+
+    // Whether the request's Authorization header carries one of our tokens. Bearer credentials are for
+    // scripts and only accept tokens, never the shared password.
+    hasBearerToken(req) {
+        if (!this.enabled) return false;
+        const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+        const subject = match ? this.authenticate(match[1].trim()) : null;
+        return Boolean(subject && subject.startsWith('token:'));
+    }
+
+    // Logs the request in when the credential is right; returns whether it was
+    login(req, res, credential) {
+        const subject = this.authenticate(credential);
+        if (!subject) {
+            this.stats.failedLogins++;
+            this.debug && console.log(`Failed login from ${req.ip}`);
+            return false;
+        }
+
+        this.stats.logins++;
+        res.cookie(AUTH_COOKIE, this.issue(subject), {
+            httpOnly: true,
+            sameSite: 'lax',
+            secure: req.secure,
+            path: '/',
+            maxAge: this.ttl
+        });
+        return true;
+    }
+
+    logout(res) {
+        res.clearCookie(AUTH_COOKIE, { path: '/' });
+    }
+
+    // Only local paths are followed after login, so the form cannot be used as an open redirect
+    safeRedirect(target) {
+        const value = String(target || '');
+        return value.startsWith('/') && !value.startsWith('//') && !value.startsWith('/\\') ? value : '/';
+    }
+
+    middleware() {
+        return (req, res, next) => {
+            if (this.isAuthenticated(req) || PUBLIC_PATHS.includes(req.path)) return next();
+
+            this.stats.rejected++;
+            // Page navigations go to the login form, scripts and subresources get a plain 401
+            if (req.method === 'GET' && (req.headers.accept || '').includes('text/html')) {
+                return res.redirect(`${LOGIN_PATH}?next=${encodeURIComponent(req.originalUrl)}`);
+            }
+            res.status(401).json({ error: 'Authentication required' });
+        };
+    }
+
+    getStats() {
+        return { enabled: this.enabled, ...this.stats };
+    }
+}
+
+AccessControl.AUTH_COOKIE = AUTH_COOKIE;
+AccessControl.LOGIN_PATH = LOGIN_PATH;
+AccessControl.LOGOUT_PATH = LOGOUT_PATH;
+
+module.exports = AccessControl;
@@ -0,0 +1,370 @@
+const { PassThrough } = require('stream');
+const { Response, Headers } = require('node-fetch');
+const { UNSATISFIABLE, requestedRange, contentRange } = require('./ranges.js');
+
+// Statuses a response may be cached with when it carries an explicit or heuristic lifetime; redirects
+// are left out because their Location is rewritten per request
+const CACHEABLE_STATUSES = [200, 203, 204, 404, 410];
+
+// Headers that describe one transfer or one visitor and are never stored
+const UNSTORED_HEADERS = ['connection', 'keep-alive', 'set-cookie', 'transfer-encoding', 'content-length', 'content-encoding'];
+
+// Share of a resource's age since Last-Modified it may be reused for without explicit freshness (RFC 9111 4.2.2)
+const HEURISTIC_FRACTION = 0.1;
+
+function parseCacheControl(value) {
+    const directives = {};
+    for (const part of String(value || '').split(',')) {
+        const [name, ...rest] = part.trim().split('=');
+        if (!name) continue;
+        const arg = rest.join('=').trim().replace(/^"|"$/g, '');
+        directives[name.toLowerCase()] = arg === '' ? true : arg;
+    }
+    return directives;
+}
+
+function seconds(value) {
+    const number = parseInt(value, 10);
+    return Number.isNaN(number) ? null : Math.max(0, number) * 1000;
+}
+
+function parseDate(value) {
+    const time = Date.parse(value || '');
+    return Number.isNaN(time) ? null : time;
+}
+
+// Shared HTTP cache for /watch responses on top of AdvancedCache. Raw upstream bodies are stored per URL
+// and Vary-selected request headers; a rewritten body can sit next to them for content whose rewrite
+// does not depend on the visitor. Freshness follows Cache-Control, Expires and Last-Modified; stale
+// entries with validators are kept around so they can be revalidated with a conditional request.
+// With a DiskCache behind the memory tier, large bodies also go to disk and are streamed back from there.
+class HttpCache {
+    constructor(options = {}) {
+        this.store = options.store;
+        this.disk = options.disk || null;
+        // Changes whenever rewritten output would differ (codec, address format, client version),
+        // so rewrites kept on disk from an earlier configuration are never served
+        this.rewriteVersion = options.rewriteVersion || '0';
+        this.maxEntryBytes = options.maxEntryBytes || 8 * 1024 * 1024;
+        // Longest heuristic lifetime and how long stale entries with validators are kept for revalidation
+        this.maxHeuristicAge = options.maxHeuristicAge || 600000;
+        this.staleRetention = options.staleRetention || 600000;
+        this.stats = { hits: 0, stale: 0, misses: 0, revalidated: 0, stored: 0, purged: 0 };
+    }
+
+    varyKey(url) {
+        return `http:vary:${url}`;
+    }
+
+    entryKey(url, variant, names, headers) {
+        const selected = names.map(name => `${name}=${headers[name] || ''}`).join('&');
+        const version = variant === 'rewritten' ? '@' + this.rewriteVersion : '';
+        return `http:${variant}${version}:${url}#${selected}`;
+    }
+
+    // Memory first, then disk; disk entries carry a function opening their body (or a byte range of it)
+    // instead of the body
+    read(key) {
+        const entry = this.store.get(key);
+        if (entry || !this.disk) return entry;
+
+        const stored = this.disk.get(key);
+        return stored && { ...stored.meta, bodySize: stored.size, openBody: stored.createReadStream };
+    }
+
+    bodyLength(entry) {
+        return entry.body ? entry.body.length : entry.bodySize || 0;
+    }
+
+    // First value of a stored response header
+    header(entry, name) {
+        const values = entry.headers[name.toLowerCase()];
+        return values ? values[0] : null;
+    }
+
+    // Whether a request may be answered from the cache at all; no-store requests bypass it entirely
+    isCacheableRequest(method, headers) {
+        if (method !== 'GET') return false;
+        return !parseCacheControl(headers['cache-control'])['no-store'];
+    }
+
+    // The stored entry for a request with its freshness, or null. `headers` are the upstream request headers.
+    lookup(url, headers, variant = 'raw') {
+        const counted = variant === 'raw';
+        const vary = this.read(this.varyKey(url));
+        const entry = vary && this.read(this.entryKey(url, variant, vary.names, headers));
+        if (!entry) {
+            if (counted) this.stats.misses++;
+            return null;
+        }
+
+        const requestDirectives = parseCacheControl(headers['cache-control']);
+        const forceRevalidate = requestDirectives['no-cache'] || requestDirectives['max-age'] === '0' ||
+            /no-cache/i.test(headers.pragma || '');
+        const age = this.currentAge(entry);
+        const fresh = !forceRevalidate && age < entry.freshness;
+        if (counted) this.stats[fresh ? 'hits' : 'stale']++;
+        return { entry, age, fresh };
+    }
+
+    currentAge(entry) {
+        return entry.initialAge + (Date.now() - entry.storedAt);
+    }
+
+    // Explicit lifetime from s-maxage, max-age or Expires, otherwise a share of the time since Last-Modified
+    freshness(response, directives) {
+        if (directives['no-cache']) return 0;
+        if (directives['s-maxage'] !== undefined) return seconds(directives['s-maxage']) || 0;
+        if (directives['max-age'] !== undefined) return seconds(directives['max-age']) || 0;
+
+        const date = parseDate(response.headers.get('date')) || Date.now();
+        const expires = response.headers.get('expires');
+        if (expires) return Math.max(0, (parseDate(expires) || 0) - date);
+
+        const lastModified = parseDate(response.headers.get('last-modified'));
+        if (lastModified) return Math.min(this.maxHeuristicAge, Math.max(0, (date - lastModified) * HEURISTIC_FRACTION));
+        return 0;
+    }
+
+    // Everything needed to store a response, or null when it may not be shared between visitors
+    describe(url, requestHeaders, response) {
+        if (!CACHEABLE_STATUSES.includes(response.status)) return null;
+        if (response.headers.has('set-cookie')) return null;
+
+        const directives = parseCacheControl(response.headers.get('cache-control'));
+        if (directives['no-store'] || directives.private) return null;
+        // Answers to requests carrying the visitor's cookies or credentials may be about that visitor, so
+        // they are only shared when the upstream says they may be
+        const personal = requestHeaders.cookie || requestHeaders.authorization;
+        if (personal && !directives.public && directives['s-maxage'] === undefined) return null;
+
+        const names = (response.headers.get('vary') || '').split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+        if (names.includes('*')) return null;
+
+        const etag = response.headers.get('etag');
+        const lastModified = response.headers.get('last-modified');
+        const freshness = this.freshness(response, directives);
+        const validators = Boolean(etag || lastModified);
+        if (!freshness && !validators) return null;
+
+        const headers = {};
+        for (const [name, values] of Object.entries(response.headers.raw())) {
+            if (!UNSTORED_HEADERS.includes(name)) headers[name] = values;
+        }
+
+        // Length of the raw body when the upstream announced it; node-fetch decodes compressed bodies,
+        // so the Content-Length of an encoded one says nothing about what gets stored
+        const contentLength = parseInt(response.headers.get('content-length'), 10);
+        const expectedLength = !response.headers.has('content-encoding') && Number.isInteger(contentLength) ? contentLength : null;
+
+        return {
+            url,
+            status: response.status,
+            statusText: response.statusText,
+            headers,
+            varyNames: names.sort(),
+            varyHeaders: requestHeaders,
+            etag,
+            lastModified,
+            freshness,
+            expectedLength,
+            initialAge: seconds(response.headers.get('age')) || 0,
+            storedAt: Date.now(),
+            // Kept past its lifetime only when it can be revalidated cheaply
+            retention: freshness + (validators ? this.staleRetention : 0)
+        };
+    }
+
+    // Stored metadata of an entry: everything but the body and the request headers used to key it
+    metaOf(meta, variant) {
+        const { body, openBody, bodySize, varyHeaders, size, expectedLength, ...rest } = meta;
+        return { ...rest, variant };
+    }
+
+    saveVary(meta) {
+        const vary = { url: meta.url, names: meta.varyNames, size: 256 };
+        this.store.set(this.varyKey(meta.url), vary, meta.retention);
+        if (this.disk) this.disk.putMeta(this.varyKey(meta.url), vary, meta.retention);
+    }
+
+    save(meta, variant, body) {
+        const entry = { ...this.metaOf(meta, variant), body, size: body.length + JSON.stringify(meta.headers).length };
+        const key = this.entryKey(meta.url, variant, meta.varyNames, meta.varyHeaders);
+        this.saveVary(meta);
+        if (this.store.set(key, entry, meta.retention)) this.stats.stored++;
+    }
+
+    // PassThrough that copies the body into the cache once it ended: into memory unless it outgrew
+    // maxEntryBytes, and onto disk when there is a disk tier and the body is within its size range
+    collector(meta, variant) {
+        const chunks = [];
+        let length = 0;
+        const stream = new PassThrough();
+        const key = this.entryKey(meta.url, variant, meta.varyNames, meta.varyHeaders);
+        // Rewriting changes the length, so only the raw body's announced length can rule out the disk early
+        const expectedSize = variant === 'raw' && meta.expectedLength !== undefined ? meta.expectedLength : null;
+        const file = this.disk && this.disk.writer(key, this.metaOf(meta, variant), meta.retention, expectedSize);
+
+        stream.on('data', chunk => {
+            if (file) file.write(chunk);
+            if (length > this.maxEntryBytes) return;
+            length += chunk.length;
+            if (length > this.maxEntryBytes) chunks.length = 0; else chunks.push(chunk);
+        });
+        stream.on('end', () => {
+            if (file) {
+                this.saveVary(meta);
+                file.end();
+            }
+            if (length <= this.maxEntryBytes) this.save(meta, variant, Buffer.concat(chunks, length));
+        });
+        stream.on('close', () => {
+            if (file && !stream.readableEnded) file.abort();
+        });
+        return stream;
+    }
+
+    // Swaps the client's validators for the cached entry's, so a 304 refreshes the shared copy
+    addValidators(entry, headers) {
+        delete headers['if-none-match'];
+        delete headers['if-modified-since'];
+        if (entry.etag) headers['if-none-match'] = entry.etag;
+        else if (entry.lastModified) headers['if-modified-since'] = entry.lastModified;
+    }
+
+    // Gives a stored variant new metadata and a new lifetime in whichever tiers hold it
+    refresh(meta, variant, entry) {
+        if (entry.body) this.save(meta, variant, entry.body);
+        if (this.disk) {
+            const key = this.entryKey(meta.url, variant, meta.varyNames, meta.varyHeaders);
+            if (this.disk.updateMeta(key, this.metaOf(meta, variant), meta.retention)) this.saveVary(meta);
+        }
+    }
+
+    // Applies a 304's headers to the stored entries and restarts their lifetime
+    revalidated(url, requestHeaders, lookup, response) {
+        this.stats.revalidated++;
+        const { entry } = lookup;
+        const headers = { ...entry.headers };
+        for (const [name, values] of Object.entries(response.headers.raw())) {
+            if (!UNSTORED_HEADERS.includes(name)) headers[name] = values;
+        }
+
+        // A 304 only confirms the body already stored, so cookies sent with this request do not make it private
+        const { cookie, authorization, ...sharedHeaders } = requestHeaders;
+        const updated = new Response('', { status: entry.status, headers: this.toHeaders(headers) });
+        const meta = this.describe(url, sharedHeaders, updated);
+        if (!meta) {
+            // The upstream no longer allows sharing it; answer this request and forget the copy
+            this.purgeUrl(url);
+            return { entry: { ...entry, headers }, age: 0, fresh: true };
+        }
+        meta.statusText = entry.statusText;
+        meta.varyHeaders = requestHeaders;
+
+        // A rewritten copy of the same bytes is still valid
+        const rewritten = this.lookup(url, requestHeaders, 'rewritten');
+        this.refresh(meta, 'raw', entry);
+        if (rewritten) this.refresh(meta, 'rewritten', rewritten.entry);
+
+        return { entry: { ...entry, ...this.metaOf(meta, 'raw') }, age: 0, fresh: true };
+    }
+
+    toHeaders(raw) {
+        const headers = new Headers();
+        for (const [name, values] of Object.entries(raw)) {
+            for (const value of values) headers.append(name, value);
+        }
+        return headers;
+    }
+
+    // node-fetch Response replaying a stored entry, so cached and live responses take the same path.
+    // Given the visitor's request headers, a Range among them is answered from the stored body with a
+    // 206, or a 416 when it lies outside it.
+    toResponse(lookup, requestHeaders = null) {
+        const { entry, age } = lookup;
+        const headers = this.toHeaders(entry.headers);
+        headers.set('age', String(Math.floor(age / 1000)));
+
+        const size = this.bodyLength(entry);
+        const range = requestHeaders && entry.status === 200 ? requestedRange(requestHeaders, entry, size) : null;
+        if (entry.status === 200) headers.set('accept-ranges', 'bytes');
+
+        if (range === UNSATISFIABLE) {
+            headers.set('content-range', contentRange(range, size));
+            return new Response('', { url: entry.url, status: 416, statusText: 'Range Not Satisfiable', headers });
+        }
+
+        let body;
+        if (range) {
+            headers.set('content-range', contentRange(range, size));
+            headers.set('content-length', String(range.end - range.start + 1));
+            body = entry.openBody ? entry.openBody(range) : entry.body.subarray(range.start, range.end + 1);
+        } else {
+            headers.set('content-length', String(size));
+            body = entry.openBody ? entry.openBody() : entry.body;
+        }
+        if (Buffer.isBuffer(body)) {
+            const stream = new PassThrough();
+            stream.end(body);
+            body = stream;
+        }
+
+        return new Response(body, {
+            url: entry.url,
+            status: range ? 206 : entry.status,
+            statusText: range ? 'Partial Content' : entry.statusText,
+            headers
+        });
+    }
+
+    // Whether the visitor's own conditional request is satisfied by a stored entry
+    notModified(entry, requestHeaders) {
+        const ifNoneMatch = requestHeaders['if-none-match'];
+        if (ifNoneMatch) {
+            const weak = tag => String(tag).trim().replace(/^W\//, '');
+            return Boolean(entry.etag) && (ifNoneMatch.trim() === '*' ||
+                ifNoneMatch.split(',').some(tag => weak(tag) === weak(entry.etag)));
+        }
+        const since = parseDate(requestHeaders['if-modified-since']);
+        const modified = parseDate(entry.lastModified);
+        return Boolean(since && modified && modified <= since);
+    }
+
+    // Removes matching entries from every tier, returns how many went
+    purge(predicate) {
+        const matches = (key, value) => key.startsWith('http:') && Boolean(value) && predicate(value.url);
+        let count = this.store.deleteWhere(matches);
+        if (this.disk) count += this.disk.deleteWhere(matches);
+        this.stats.purged += count;
+        return count;
+    }
+
+    purgeUrl(url) {
+        return this.purge(entryUrl => entryUrl === url);
+    }
+
+    purgeHost(host) {
+        const target = String(host).toLowerCase();
+        return this.purge(entryUrl => {
+            try {
+                const url = new URL(entryUrl);
+                return url.host === target || url.hostname === target;
+            } catch (e) {
+                return false;
+            }
+        });
+    }
+
+    getStats() {
+        return {
+            responses: { ...this.stats },
+            memory: this.store.getStats(),
+            disk: this.disk ? this.disk.getStats() : null
+        };
+    }
+}
+
+HttpCache.parseCacheControl = parseCacheControl;
+
+module.exports = HttpCache;
@@ -0,0 +1,109 @@
+const zlib = require('zlib');
+
+// Codings we can produce, most preferred first when the client rates several equally
+const ENCODINGS = ['br', 'gzip', 'deflate'];
+
+// Text formats gain from compression; images, media and archives are compressed already. Event streams
+// are left alone because the compressor would hold events back until its buffer fills.
+const COMPRESSIBLE_TYPE = /^(text\/(?!event-stream)|[^;]*[/+](javascript|ecmascript|json|xml|wasm)\b|[^;]*mpegurl)/i;
+
+// Statuses that never carry a body, plus partial content whose byte ranges refer to the uncompressed body
+const UNCOMPRESSED_STATUSES = [204, 206, 304];
+
+function isCompressible(contentType) {
+    return COMPRESSIBLE_TYPE.test(String(contentType || '').trim());
+}
+
+// Map of coding to q-value from an Accept-Encoding header
+function parseAcceptEncoding(header) {
+    const accepted = new Map();
+    for (const part of String(header || '').split(',')) {
+        const [name, ...params] = part.trim().toLowerCase().split(';');
+        if (!name) continue;
+        const q = params.map(param => /^\s*q\s*=\s*([\d.]+)\s*$/.exec(param)).find(Boolean);
+        const coding = name.trim() === 'x-gzip' ? 'gzip' : name.trim();
+        accepted.set(coding, q ? Math.min(1, parseFloat(q[1]) || 0) : 1);
+    }
+    return accepted;
+}
+
+// Best coding the client accepts, or null to send the body as is
+function negotiateEncoding(header) {
+    const accepted = parseAcceptEncoding(header);
+    const wildcard = accepted.has('*') ? accepted.get('*') : 0;
+
+    let best = null;
+    let bestQ = 0;
+    for (const coding of ENCODINGS) {
+        const q = accepted.has(coding) ? accepted.get(coding) : wildcard;
+        if (q > bestQ) {
+            best = coding;
+            bestQ = q;
+        }
+    }
+    return best;
+}
+
+// Documents the browser renders as they arrive; their compressor flushes after every chunk written to it
+const FLUSHED_TYPE = /^text\/html\b/i;
+
+function createEncoder(coding, level, flushEachChunk = false) {
+    switch (coding) {
+        case 'br':
+            return zlib.createBrotliCompress({
+                flush: flushEachChunk ? zlib.constants.BROTLI_OPERATION_FLUSH : zlib.constants.BROTLI_OPERATION_PROCESS,
+                params: {
+                    [zlib.constants.BROTLI_PARAM_MODE]: zlib.constants.BROTLI_MODE_TEXT,
+                    [zlib.constants.BROTLI_PARAM_QUALITY]: level
+                }
+            });
+        case 'gzip':
+            return zlib.createGzip({ level, flush: flushEachChunk ? zlib.constants.Z_SYNC_FLUSH : zlib.constants.Z_NO_FLUSH });
+        case 'deflate':
+            return zlib.createDeflate({ level, flush: flushEachChunk ? zlib.constants.Z_SYNC_FLUSH : zlib.constants.Z_NO_FLUSH });
+        default:
+            return null;
+    }
+}
+
+// Compresses text responses on their way to the browser. Upstream bodies arrive decoded (node-fetch
+// undoes their Content-Encoding), so whatever the client accepts is applied again at the very end,
+// after rewriting.
+class ResponseCompression {
+    constructor(options = {}) {
+        this.enabled = options.enabled !== false;
+        this.level = options.level || 6;
+        this.stats = { br: 0, gzip: 0, deflate: 0, identity: 0 };
+    }
+
+    // Picks the coding for a response from the request's Accept-Encoding and sets the matching headers.
+    // Returns the stream that compresses the body, or null when it should be sent as is.
+    encoder(req, res, contentType) {
+        if (!this.enabled || req.method === 'HEAD' || !isCompressible(contentType)) return null;
+        if (UNCOMPRESSED_STATUSES.includes(res.statusCode)) return null;
+
+        // Shared caches must keep the compressed and the plain body apart
+        res.vary('Accept-Encoding');
+
+        const coding = negotiateEncoding(req.headers['accept-encoding']);
+        if (!coding) {
+            this.stats.identity++;
+            return null;
+        }
+
+        this.stats[coding]++;
+        res.set('Content-Encoding', coding);
+        res.removeHeader('Content-Length');
+        // The HTML rewriter writes one chunk per upstream chunk, so the page streams to the browser as it did before
+        return createEncoder(coding, this.level, FLUSHED_TYPE.test(String(contentType || '').trim()));
+    }
+
+    getStats() {
+        return { enabled: this.enabled, level: this.level, ...this.stats };
+    }
+}
+
+ResponseCompression.isCompressible = isCompressible;
+ResponseCompression.negotiateEncoding = negotiateEncoding;
+
+module.exports = ResponseCompression;
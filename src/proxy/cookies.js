@@ -0,0 +1,304 @@
+const crypto = require('crypto');
+
+const SESSION_COOKIE = 'blissfly_session';
+const MAX_COOKIES_PER_DOMAIN = 50;
+const MAX_COOKIES_PER_JAR = 3000;
+
+function parseCookieHeader(header) {
+    const cookies = {};
+    if (!header) return cookies;
+
+    for (const part of header.split(';')) {
+        const index = part.indexOf('=');
+        if (index < 0) continue;
+        const name = part.slice(0, index).trim();
+        if (name && !(name in cookies)) {
+            cookies[name] = part.slice(index + 1).trim();
+        }
+    }
+    return cookies;
+}
+
+function isIpAddress(host) {
+    return /^\d{1,3}(\.\d{1,3}){3}$/.test(host) || host.includes(':');
+}
+
+// Approximates the registrable domain without a public suffix list
+function siteOf(host) {
+    if (isIpAddress(host)) return host;
+    return host.split('.').slice(-2).join('.');
+}
+
+function domainMatches(host, domain) {
+    if (host === domain) return true;
+    return !isIpAddress(host) && host.endsWith('.' + domain);
+}
+
+function pathMatches(requestPath, cookiePath) {
+    if (requestPath === cookiePath) return true;
+    if (!requestPath.startsWith(cookiePath)) return false;
+    return cookiePath.endsWith('/') || requestPath[cookiePath.length] === '/';
+}
+
+function defaultPath(pathname) {
+    if (!pathname.startsWith('/')) return '/';
+    const index = pathname.lastIndexOf('/');
+    return index <= 0 ? '/' : pathname.slice(0, index);
+}
+
+class CookieJar {
+    constructor() {
+        this.cookies = new Map();
+    }
+
+    // Stores a single Set-Cookie header received for requestUrl, returns the cookie or null when rejected
+    setCookie(header, requestUrl, options = {}) {
+        const url = new URL(requestUrl);
+        const cookie = this._parse(header, url);
+        if (!cookie) return null;
+        if (options.fromScript && cookie.httpOnly) return null;
+
+        const key = `${cookie.domain};${cookie.path};${cookie.name}`;
+        const existing = this.cookies.get(key);
+        if (existing) {
+            if (existing.httpOnly && options.fromScript) return null;
+            cookie.created = existing.created;
+        }
+
+        if (cookie.expires !== null && cookie.expires <= Date.now()) {
+            this.cookies.delete(key);
+            return null;
+        }
+
+        this.cookies.set(key, cookie);
+        this._enforceLimits(cookie.domain);
+        return cookie;
+    }
+
+    setCookies(headers, requestUrl) {
+        for (const header of headers || []) {
+            this.setCookie(header, requestUrl);
+        }
+    }
+
+    // Returns the cookies that would accompany a request to url, most specific path first
+    getCookies(url, options = {}) {
+        const target = new URL(url);
+        const host = target.hostname.toLowerCase();
+        const secure = target.protocol === 'https:' || target.protocol === 'wss:';
+        const crossSite = options.siteUrl ? siteOf(new URL(options.siteUrl).hostname.toLowerCase()) !== siteOf(host) : false;
+        const safeNavigation = options.navigation && ['GET', 'HEAD'].includes(options.method || 'GET');
+        const now = Date.now();
+        const matches = [];
+
+        for (const [key, cookie] of this.cookies.entries()) {
+            if (cookie.expires !== null && cookie.expires <= now) {
+                this.cookies.delete(key);
+                continue;
+            }
+            if (cookie.hostOnly ? host !== cookie.domain : !domainMatches(host, cookie.domain)) continue;
+            if (!pathMatches(target.pathname || '/', cookie.path)) continue;
+            if (cookie.secure && !secure) continue;
+            if (options.includeHttpOnly === false && cookie.httpOnly) continue;
+            if (crossSite) {
+                if (cookie.sameSite === 'strict') continue;
+                if (cookie.sameSite === 'lax' && !safeNavigation) continue;
+            }
+            matches.push(cookie);
+        }
+
+        return matches.sort((a, b) => (b.path.length - a.path.length) || (a.created - b.created));
+    }
+
+    getCookieHeader(url, options = {}) {
+        return this.getCookies(url, options)
+            .map(cookie => `${cookie.name}=${cookie.value}`)
+            .join('; ');
+    }
+
+    list(domain) {
+        const cookies = Array.from(this.cookies.values());
+        if (!domain) return cookies;
+        const host = domain.toLowerCase();
+        return cookies.filter(cookie => domainMatches(host, cookie.domain) || domainMatches(cookie.domain, host));
+    }
+
+    clear(domain) {
+        if (!domain) {
+            const count = this.cookies.size;
+            this.cookies.clear();
+            return count;
+        }
+
+        let count = 0;
+        for (const cookie of this.list(domain)) {
+            this.cookies.delete(`${cookie.domain};${cookie.path};${cookie.name}`);
+            count++;
+        }
+        return count;
+    }
+
+    get size() {
+        return this.cookies.size;
+    }
+
+    _parse(header, url) {
+        const [pair, ...attributes] = String(header).split(';');
+        const index = pair.indexOf('=');
+        const name = (index < 0 ? '' : pair.slice(0, index)).trim();
+        const value = (index < 0 ? pair : pair.slice(index + 1)).trim();
+        if (!name && !value) return null;
+
+        const host = url.hostname.toLowerCase();
+        const secureOrigin = url.protocol === 'https:' || url.protocol === 'wss:';
+        const now = Date.now();
+        const cookie = {
+            name,
+            value,
+            domain: host,
+            hostOnly: true,
+            path: defaultPath(url.pathname),
+            expires: null,
+            secure: false,
+            httpOnly: false,
+            sameSite: 'lax',
+            created: now
+        };
+        let maxAge = null;
+
+        for (const attribute of attributes) {
+            const separator = attribute.indexOf('=');
+            const key = (separator < 0 ? attribute : attribute.slice(0, separator)).trim().toLowerCase();
+            const attrValue = separator < 0 ? '' : attribute.slice(separator + 1).trim();
+
+            switch (key) {
+                case 'domain': {
+                    const domain = attrValue.replace(/^\./, '').toLowerCase();
+                    if (!domain) break;
+                    if (!domainMatches(host, domain)) return null;
+                    if (domain !== host && !domain.includes('.')) return null;
+                    cookie.domain = domain;
+                    cookie.hostOnly = false;
+                    break;
+                }
+                case 'path':
+                    cookie.path = attrValue.startsWith('/') ? attrValue : defaultPath(url.pathname);
+                    break;
+                case 'expires': {
+                    const time = Date.parse(attrValue);
+                    if (!isNaN(time)) cookie.expires = time;
+                    break;
+                }
+                case 'max-age':
+                    if (/^-?\d+$/.test(attrValue)) maxAge = parseInt(attrValue, 10);
+                    break;
+                case 'secure':
+                    cookie.secure = true;
+                    break;
+                case 'httponly':
+                    cookie.httpOnly = true;
+                    break;
+                case 'samesite': {
+                    const sameSite = attrValue.toLowerCase();
+                    if (['strict', 'lax', 'none'].includes(sameSite)) cookie.sameSite = sameSite;
+                    break;
+                }
+            }
+        }
+
+        if (maxAge !== null) {
+            cookie.expires = now + maxAge * 1000;
+        }
+
+        if (cookie.secure && !secureOrigin) return null;
+        if (cookie.sameSite === 'none' && !cookie.secure) return null;
+        if (name.startsWith('__Secure-') && !cookie.secure) return null;
+        if (name.startsWith('__Host-') && (!cookie.secure || !cookie.hostOnly || cookie.path !== '/')) return null;
+
+        return cookie;
+    }
+
+    _enforceLimits(domain) {
+        const byAge = (a, b) => a.created - b.created;
+        const domainCookies = this.list().filter(cookie => cookie.domain === domain).sort(byAge);
+        for (const cookie of domainCookies.slice(0, Math.max(0, domainCookies.length - MAX_COOKIES_PER_DOMAIN))) {
+            this.cookies.delete(`${cookie.domain};${cookie.path};${cookie.name}`);
+        }
+
+        if (this.cookies.size > MAX_COOKIES_PER_JAR) {
+            const oldest = this.list().sort(byAge).slice(0, this.cookies.size - MAX_COOKIES_PER_JAR);
+            for (const cookie of oldest) {
+                this.cookies.delete(`${cookie.domain};${cookie.path};${cookie.name}`);
+            }
+        }
+    }
+}
+
+class CookieStore {
+    constructor(options = {}) {
+        this.sessions = new Map();
+        this.sessionTTL = options.sessionTTL || 86400000;
+        this.lastCleanup = Date.now();
+    }
+
+    createSession() {
+        const id = crypto.randomBytes(24).toString('hex');
+        this.sessions.set(id, { jar: new CookieJar(), lastSeen: Date.now() });
+        return id;
+    }
+
+    hasSession(id) {
+        this._conditionalCleanup();
+        const session = Boolean(id) && this.sessions.get(id);
+        return Boolean(session) && !this._isExpired(session);
+    }
+
+    // The session's jar, or null when there is no such session or it has expired
+    getJar(id) {
+        this._conditionalCleanup();
+        const session = this.sessions.get(id);
+        if (!session || this._isExpired(session)) {
+            this.sessions.delete(id);
+            return null;
+        }
+        session.lastSeen = Date.now();
+        return session.jar;
+    }
+
+    getStats() {
+        let cookies = 0;
+        for (const session of this.sessions.values()) {
+            cookies += session.jar.size;
+        }
+        return { sessions: this.sessions.size, cookies };
+    }
+
+    _conditionalCleanup() {
+        const now = Date.now();
+        if (now - this.lastCleanup > 300000) {
+            this._cleanup();
+            this.lastCleanup = now;
+        }
+    }
+
+    _isExpired(session, now = Date.now()) {
+        return now - session.lastSeen > this.sessionTTL;
+    }
+
+    _cleanup() {
+        const now = Date.now();
+        for (const [id, session] of this.sessions.entries()) {
+            if (this._isExpired(session, now)) {
+                this.sessions.delete(id);
+            }
+        }
+    }
+}
+
+module.exports = {
+    SESSION_COOKIE,
+    CookieJar,
+    CookieStore,
+    parseCookieHeader,
+    siteOf
+};
@@ -0,0 +1,185 @@
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+
+// Error code shared by every refusal, whether it comes from the URL check or from a connect-time lookup
+const BLOCKED_CODE = 'EDESTINATIONBLOCKED';
+
+// Addresses that reach the proxy's own network rather than the public internet
+const PRIVATE_RANGES = [
+    ['0.0.0.0', 8, 'ipv4'],         // "this" network
+    ['10.0.0.0', 8, 'ipv4'],        // private
+    ['100.64.0.0', 10, 'ipv4'],     // carrier-grade NAT
+    ['127.0.0.0', 8, 'ipv4'],       // loopback
+    ['169.254.0.0', 16, 'ipv4'],    // link-local, including cloud metadata at 169.254.169.254
+    ['172.16.0.0', 12, 'ipv4'],     // private
+    ['192.0.0.0', 24, 'ipv4'],      // protocol assignments
+    ['192.168.0.0', 16, 'ipv4'],    // private
+    ['198.18.0.0', 15, 'ipv4'],     // benchmarking
+    ['224.0.0.0', 4, 'ipv4'],       // multicast
+    ['240.0.0.0', 4, 'ipv4'],       // reserved and broadcast
+    ['::', 128, 'ipv6'],            // unspecified
+    ['::1', 128, 'ipv6'],           // loopback
+    ['64:ff9b:1::', 48, 'ipv6'],    // local-use NAT64
+    ['fc00::', 7, 'ipv6'],          // unique local, including fd00:ec2::254 metadata
+    ['fe80::', 10, 'ipv6'],         // link-local
+    ['ff00::', 8, 'ipv6']           // multicast
+];
+
+// Names that point inside the host or the cloud provider whatever DNS says
+const INTERNAL_HOSTS = ['localhost', '*.localhost', '*.internal', '*.local', 'metadata'];
+
+const privateAddresses = new net.BlockList();
+for (const [address, prefix, type] of PRIVATE_RANGES) {
+    privateAddresses.addSubnet(address, prefix, type);
+}
+
+class DestinationBlockedError extends Error {
+    constructor(url, reason) {
+        super(`Destination blocked: ${reason}`);
+        this.name = 'DestinationBlockedError';
+        this.code = BLOCKED_CODE;
+        this.status = 403;
+        this.url = url;
+        this.reason = reason;
+    }
+}
+
+// '*' matches any run of characters, so '*.example.com' covers every subdomain but not example.com itself
+function hostPattern(pattern) {
+    const source = String(pattern).trim().toLowerCase()
+        .split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+    return new RegExp(`^${source}$`);
+}
+
+// IPv6 prefixes (as their first six 16-bit groups) of addresses that carry an IPv4 address in their
+// last 32 bits and reach it: IPv4-mapped (::ffff:0:0/96) and well-known NAT64 (64:ff9b::/96)
+const IPV4_EMBEDDING_PREFIXES = ['0:0:0:0:0:ffff', '64:ff9b:0:0:0:0'];
+
+// The eight 16-bit groups of a valid IPv6 address, whichever way it is written
+function ipv6Groups(address) {
+    let text = address.toLowerCase();
+    const dotted = /(\d+)\.(\d+)\.(\d+)\.(\d+)$/.exec(text);
+    if (dotted) {
+        const [a, b, c, d] = dotted.slice(1).map(Number);
+        text = text.slice(0, dotted.index) + ((a << 8) | b).toString(16) + ':' + ((c << 8) | d).toString(16);
+    }
+    const [head, tail] = text.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    const zeros = tail === undefined ? [] : new Array(8 - headGroups.length - tailGroups.length).fill('0');
+    return [...headGroups, ...zeros, ...tailGroups].map(group => parseInt(group, 16));
+}
+
+// The IPv4 address an IPv6 address stands for, or null when it is a plain IPv6 address
+function embeddedIpv4(address) {
+    const groups = ipv6Groups(address);
+    if (!IPV4_EMBEDDING_PREFIXES.includes(groups.slice(0, 6).map(group => group.toString(16)).join(':'))) return null;
+    return [groups[6] >> 8, groups[6] & 0xff, groups[7] >> 8, groups[7] & 0xff].join('.');
+}
+
+function isPrivateAddress(address) {
+    const type = net.isIP(address);
+    if (!type) return false;
+    if (type === 6) {
+        // However it is written (64:ff9b::7f00:1 or 64:ff9b::127.0.0.1), the IPv4 address decides
+        const ipv4 = embeddedIpv4(address);
+        if (ipv4) return isPrivateAddress(ipv4);
+    }
+    return privateAddresses.check(address, type === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Decides which upstream hosts the proxy may reach. URLs are checked up front against the host lists
+// and, for IP literals, the private ranges; hostnames are checked again on the addresses the
+// connection actually uses, so a name that resolves (or later rebinds) to a private address is refused.
+class DestinationPolicy {
+    constructor(options = {}) {
+        this.allowPrivate = Boolean(options.allowPrivate);
+        this.allowedHosts = (options.allowedHosts || []).map(hostPattern);
+        this.blockedHosts = (options.blockedHosts || []).map(hostPattern);
+        this.internalHosts = INTERNAL_HOSTS.map(hostPattern);
+        this.debug = Boolean(options.debug);
+        this.stats = { blocked: 0 };
+
+        this.lookup = this.lookup.bind(this);
+        this.agent = this.agent.bind(this);
+        this.httpAgent = new http.Agent({ keepAlive: true, lookup: this.lookup });
+        this.httpsAgent = new https.Agent({ keepAlive: true, lookup: this.lookup });
+    }
+
+    // Throws a DestinationBlockedError for URLs the proxy must not fetch
+    check(href) {
+        const url = new URL(href);
+        if (!['http:', 'https:', 'ws:', 'wss:'].includes(url.protocol)) {
+            this.block(href, `${url.protocol} URLs are not supported`);
+        }
+
+        const host = url.hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+        if (this.blockedHosts.some(pattern => pattern.test(host))) {
+            this.block(href, `${host} is on the blocklist`);
+        }
+        if (this.allowedHosts.length && !this.allowedHosts.some(pattern => pattern.test(host))) {
+            this.block(href, `${host} is not on the allowlist`);
+        }
+        if (!this.allowPrivate) {
+            if (this.internalHosts.some(pattern => pattern.test(host))) {
+                this.block(href, `${host} is an internal host name`);
+            }
+            if (isPrivateAddress(host)) {
+                this.block(href, `${host} is a private address`);
+            }
+        }
+        return url;
+    }
+
+    block(href, reason) {
+        this.stats.blocked++;
+        this.debug && console.log(`Blocked ${href}: ${reason}`);
+        throw new DestinationBlockedError(href, reason);
+    }
+
+    // dns.lookup replacement for sockets: every resolved address must be public, otherwise the connection fails
+    lookup(hostname, options, callback) {
+        if (typeof options === 'function') {
+            callback = options;
+            options = {};
+        }
+
+        dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+            if (error) return callback(error);
+
+            const blocked = this.allowPrivate ? null : addresses.find(entry => isPrivateAddress(entry.address));
+            if (blocked) {
+                this.stats.blocked++;
+                this.debug && console.log(`Blocked connection to ${hostname}: resolves to ${blocked.address}`);
+                const reason = `${hostname} resolves to the private address ${blocked.address}`;
+                return callback(new DestinationBlockedError(hostname, reason));
+            }
+
+            if (options.all) return callback(null, addresses);
+            callback(null, addresses[0].address, addresses[0].family);
+        });
+    }
+
+    // node-fetch agent option; keeps the connect-time check on every request, including retries
+    agent(url) {
+        return url.protocol === 'https:' ? this.httpsAgent : this.httpAgent;
+    }
+
+    getStats() {
+        return { ...this.stats };
+    }
+}
+
+function isBlockedError(error) {
+    return Boolean(error) && error.code === BLOCKED_CODE;
+}
+
+DestinationPolicy.DestinationBlockedError = DestinationBlockedError;
+DestinationPolicy.isBlockedError = isBlockedError;
+DestinationPolicy.isPrivateAddress = isPrivateAddress;
+
+module.exports = DestinationPolicy;
@@ -0,0 +1,275 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const INDEX_FILE = 'index.json';
+const BODY_DIR = 'bodies';
+const INDEX_VERSION = 1;
+
+// How long index changes may sit in memory before they are written out
+const INDEX_SAVE_DELAY = 1000;
+
+// Second cache tier on local disk. Bodies live in one file each under bodies/, named by a hash of the
+// key; index.json maps keys to their metadata, size, expiry and last use, so the cache survives
+// restarts. Entries without a body (just metadata) are allowed too. The total size of the body files
+// is kept under maxBytes by evicting the least recently used entries.
+class DiskCache {
+    constructor(options = {}) {
+        this.dir = path.resolve(options.dir);
+        this.bodyDir = path.join(this.dir, BODY_DIR);
+        this.maxBytes = options.maxBytes || 1024 * 1024 * 1024;
+        this.minEntryBytes = options.minEntryBytes || 0;
+        this.maxEntryBytes = options.maxEntryBytes || 100 * 1024 * 1024;
+        this.debug = Boolean(options.debug);
+        this.entries = new Map();
+        this.bytes = 0;
+        this.saveTimer = null;
+        // Index saves run one at a time, each after the one before it
+        this.saving = Promise.resolve();
+        // Open read streams per body file; files still being read are removed once the last one closes
+        this.readers = new Map();
+        this.unlinked = new Set();
+        this.stats = { hits: 0, misses: 0, writes: 0, evictions: 0, errors: 0 };
+        this.load();
+    }
+
+    // Reads the index and drops whatever no longer matches the files on disk
+    load() {
+        fs.mkdirSync(this.bodyDir, { recursive: true });
+
+        let index = null;
+        try {
+            index = JSON.parse(fs.readFileSync(path.join(this.dir, INDEX_FILE), 'utf8'));
+        } catch (e) {}
+
+        const now = Date.now();
+        const records = index && index.version === INDEX_VERSION ? index.entries : [];
+        // Oldest use first, so Map order is the LRU order again
+        records.sort((a, b) => a.lastAccessed - b.lastAccessed);
+        for (const record of records) {
+            if (record.expires < now) continue;
+            if (record.file && !fs.existsSync(path.join(this.bodyDir, record.file))) continue;
+            this.entries.set(record.key, record);
+            this.bytes += record.size;
+        }
+
+        const known = new Set(Array.from(this.entries.values(), record => record.file));
+        for (const file of fs.readdirSync(this.bodyDir)) {
+            if (!known.has(file)) fs.rmSync(path.join(this.bodyDir, file), { force: true });
+        }
+
+        this.evict();
+        this.debug && console.log(`Disk cache: ${this.entries.size} entries, ${this.bytes} bytes in ${this.dir}`);
+    }
+
+    fileFor(key) {
+        return crypto.createHash('sha1').update(key).digest('hex');
+    }
+
+    // { meta, size, createReadStream({ start, end }) } for a live entry, or null
+    get(key) {
+        const record = this.entries.get(key);
+        if (!record || record.expires < Date.now()) {
+            if (record) this.delete(key);
+            this.stats.misses++;
+            return null;
+        }
+
+        this.entries.delete(key);
+        this.entries.set(key, record);
+        record.lastAccessed = Date.now();
+        this.scheduleSave();
+        this.stats.hits++;
+
+        return {
+            meta: record.meta,
+            size: record.size,
+            createReadStream: range => this.openFile(record.file, range)
+        };
+    }
+
+    // A stream only opens its file after the response headers are out, so the file has to outlive a
+    // replace or eviction that happens in between
+    openFile(file, range) {
+        const stream = fs.createReadStream(path.join(this.bodyDir, file), range);
+        this.readers.set(file, (this.readers.get(file) || 0) + 1);
+        stream.once('close', () => {
+            const count = this.readers.get(file) - 1;
+            if (count) return this.readers.set(file, count);
+            this.readers.delete(file);
+            if (this.unlinked.delete(file)) this.removeFile(file);
+        });
+        return stream;
+    }
+
+    removeFile(file) {
+        if (this.readers.has(file)) return this.unlinked.add(file);
+        fs.rm(path.join(this.bodyDir, file), { force: true }, () => {});
+    }
+
+    // Stores metadata only, e.g. the Vary names of a URL
+    putMeta(key, meta, ttl) {
+        this.commit(key, { key, meta, file: null, size: 0, expires: Date.now() + ttl, lastAccessed: Date.now() });
+    }
+
+    // Replaces an entry's metadata and lifetime, keeping its body
+    updateMeta(key, meta, ttl) {
+        const record = this.entries.get(key);
+        if (!record) return false;
+        record.meta = meta;
+        record.expires = Date.now() + ttl;
+        this.scheduleSave();
+        return true;
+    }
+
+    // Writer for a body that arrives in chunks: write() each chunk, then end() to keep it or abort() to
+    // drop it. Bodies outside minEntryBytes..maxEntryBytes are dropped on their own. Returns null when
+    // the body's length is known up front and out of range; otherwise the file is only created once
+    // minEntryBytes have arrived, so small bodies never touch the disk.
+    writer(key, meta, ttl, expectedSize = null) {
+        if (expectedSize !== null && (expectedSize < this.minEntryBytes || expectedSize > this.maxEntryBytes)) return null;
+
+        const file = this.fileFor(key) + '.' + crypto.randomBytes(4).toString('hex');
+        const temp = path.join(this.bodyDir, file + '.tmp');
+        let out = null;
+        let pending = [];
+        let size = 0;
+        let done = false;
+
+        const discard = () => {
+            if (done) return;
+            done = true;
+            pending = null;
+            if (!out) return;
+            out.destroy();
+            fs.rm(temp, { force: true }, () => {});
+        };
+
+        const open = () => {
+            out = fs.createWriteStream(temp);
+            out.on('error', error => {
+                this.stats.errors++;
+                this.debug && console.error('Disk cache write error:', error.message);
+                discard();
+            });
+            for (const chunk of pending) out.write(chunk);
+            pending = null;
+        };
+
+        return {
+            write: chunk => {
+                if (done) return;
+                size += chunk.length;
+                if (size > this.maxEntryBytes) return discard();
+                if (out) return out.write(chunk);
+                pending.push(chunk);
+                if (size >= this.minEntryBytes) open();
+            },
+            end: () => {
+                if (done) return;
+                if (size < this.minEntryBytes) return discard();
+                // Empty bodies with no minimum never got a chunk to open the file with
+                if (!out) open();
+                done = true;
+                out.end(() => {
+                    fs.rename(temp, path.join(this.bodyDir, file), error => {
+                        if (error) {
+                            this.stats.errors++;
+                            return fs.rm(temp, { force: true }, () => {});
+                        }
+                        this.stats.writes++;
+                        this.commit(key, { key, meta, file, size, expires: Date.now() + ttl, lastAccessed: Date.now() });
+                    });
+                });
+            },
+            abort: discard
+        };
+    }
+
+    commit(key, record) {
+        this.delete(key);
+        this.entries.set(key, record);
+        this.bytes += record.size;
+        this.evict();
+        this.scheduleSave();
+    }
+
+    delete(key) {
+        const record = this.entries.get(key);
+        if (!record) return false;
+        this.entries.delete(key);
+        this.bytes -= record.size;
+        if (record.file) this.removeFile(record.file);
+        this.scheduleSave();
+        return true;
+    }
+
+    // Removes every entry whose key and metadata the predicate accepts, returns how many went
+    deleteWhere(predicate) {
+        let count = 0;
+        for (const [key, record] of this.entries) {
+            if (predicate(key, record.meta)) {
+                this.delete(key);
+                count++;
+            }
+        }
+        return count;
+    }
+
+    evict() {
+        const now = Date.now();
+        for (const [key, record] of this.entries) {
+            if (this.bytes <= this.maxBytes) break;
+            this.delete(key);
+            if (record.expires >= now) this.stats.evictions++;
+        }
+    }
+
+    scheduleSave() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.save().catch(error => {
+                this.stats.errors++;
+                this.debug && console.error('Disk cache index error:', error.message);
+            });
+        }, INDEX_SAVE_DELAY);
+        this.saveTimer.unref();
+    }
+
+    serializeIndex() {
+        return JSON.stringify({ version: INDEX_VERSION, entries: Array.from(this.entries.values()) });
+    }
+
+    // Written to a temporary file first so a crash never leaves a half-written index behind. Saves are
+    // chained so two never write that file at once.
+    save() {
+        const run = this.saving.then(async () => {
+            const target = path.join(this.dir, INDEX_FILE);
+            await fs.promises.writeFile(target + '.tmp', this.serializeIndex());
+            await fs.promises.rename(target + '.tmp', target);
+        });
+        this.saving = run.catch(() => {});
+        return run;
+    }
+
+    // Synchronous save for shutdown
+    flush() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        const target = path.join(this.dir, INDEX_FILE);
+        fs.writeFileSync(target + '.tmp', this.serializeIndex());
+        fs.renameSync(target + '.tmp', target);
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            entries: this.entries.size,
+            bytes: this.bytes,
+            maxBytes: this.maxBytes
+        };
+    }
+}
+
+module.exports = DiskCache;
@@ -0,0 +1,154 @@
+// Headers that only describe a single connection and must never cross the proxy
+const HOP_BY_HOP_HEADERS = [
+    'connection',
+    'keep-alive',
+    'proxy-authenticate',
+    'proxy-authorization',
+    'proxy-connection',
+    'te',
+    'trailer',
+    'transfer-encoding',
+    'upgrade'
+];
+
+const DEFAULT_REQUEST_HEADERS = [
+    'accept',
+    'accept-language',
+    'authorization',
+    'cache-control',
+    'content-type',
+    'dnt',
+    'if-match',
+    'if-modified-since',
+    'if-none-match',
+    'if-range',
+    'if-unmodified-since',
+    'origin',
+    'pragma',
+    'range',
+    'referer',
+    'user-agent',
+    'x-requested-with'
+];
+
+// Response headers that would either break the proxied page or leak upstream policy onto our origin.
+// Body framing headers are dropped because node-fetch decodes the body and rewriting changes its length.
+const DEFAULT_BLOCKED_RESPONSE_HEADERS = [
+    'alt-svc',
+    'clear-site-data',
+    'content-encoding',
+    'content-length',
+    'content-security-policy',
+    'content-security-policy-report-only',
+    'cross-origin-embedder-policy',
+    'cross-origin-opener-policy',
+    'cross-origin-resource-policy',
+    'expect-ct',
+    'public-key-pins',
+    'report-to',
+    'set-cookie',
+    'strict-transport-security',
+    'x-frame-options'
+];
+
+// Response headers carrying URLs the browser would otherwise fetch or resolve against the target directly,
+// with the method that rewrites each
+const URL_RESPONSE_HEADERS = {
+    'content-location': '_rewriteContentLocation',
+    link: '_rewriteLink'
+};
+
+class HeaderPolicy {
+    constructor(options = {}) {
+        this.requestHeaders = new Set(
+            (options.requestHeaders || DEFAULT_REQUEST_HEADERS).map(name => name.toLowerCase())
+        );
+        this.blockedResponseHeaders = new Set(
+            (options.blockedResponseHeaders || DEFAULT_BLOCKED_RESPONSE_HEADERS).map(name => name.toLowerCase())
+        );
+        this.resolveProxiedUrl = options.resolveProxiedUrl || (() => null);
+        // Maps a URL found in a response header and the target URL it is relative to onto its proxied form
+        this.rewriteUrl = options.rewriteUrl || (url => url);
+    }
+
+    // Builds the header set sent upstream from the browser's request headers
+    upstreamHeaders(clientHeaders, targetUrl) {
+        const connectionScoped = this._connectionScoped(clientHeaders.connection);
+        const headers = {};
+
+        for (const [name, value] of Object.entries(clientHeaders)) {
+            const key = name.toLowerCase();
+            if (!this.requestHeaders.has(key) || connectionScoped.has(key)) continue;
+            if (key === 'referer' || key === 'origin') continue;
+            headers[key] = value;
+        }
+
+        const referer = clientHeaders.referer && this.resolveProxiedUrl(clientHeaders.referer);
+        if (referer && this.requestHeaders.has('referer')) {
+            headers.referer = referer;
+        }
+
+        // Only sent when the browser sent one. It names the proxy, so the page's origin comes from the proxied
+        // Referer; when that is unknown it goes up as "null" rather than pretending to be the target's own.
+        if (clientHeaders.origin && this.requestHeaders.has('origin')) {
+            const page = clientHeaders.origin !== 'null' && (this.resolveProxiedUrl(clientHeaders.origin) || referer);
+            headers.origin = page ? this._origin(page) : 'null';
+        }
+
+        return headers;
+    }
+
+    // Filters upstream response headers (node-fetch Headers) down to what is safe to hand back, pointing
+    // URL-bearing ones (see URL_RESPONSE_HEADERS) at the proxy. Location and Refresh are left to the
+    // redirect handling, which also counts hops.
+    clientHeaders(upstreamHeaders, targetUrl) {
+        const raw = upstreamHeaders.raw();
+        const connectionScoped = this._connectionScoped(upstreamHeaders.get('connection'));
+        const headers = {};
+
+        for (const [name, values] of Object.entries(raw)) {
+            const key = name.toLowerCase();
+            if (this.blockedResponseHeaders.has(key) || connectionScoped.has(key)) continue;
+            const rewrite = targetUrl && URL_RESPONSE_HEADERS[key];
+            const output = rewrite ? values.map(value => this[rewrite](value, targetUrl)) : values;
+            headers[key] = output.length === 1 ? output[0] : output;
+        }
+
+        return headers;
+    }
+
+    // Link: <url>; rel=preload; as=script, <url>; rel=modulepreload
+    _rewriteLink(value, base) {
+        return value.replace(/<([^>]*)>/g, (match, url) => `<${this.rewriteUrl(url.trim(), base)}>`);
+    }
+
+    _rewriteContentLocation(value, base) {
+        return this.rewriteUrl(value.trim(), base);
+    }
+
+    _connectionScoped(connectionHeader) {
+        const names = new Set(HOP_BY_HOP_HEADERS);
+        if (connectionHeader) {
+            for (const token of String(connectionHeader).split(',')) {
+                const name = token.trim().toLowerCase();
+                if (name) names.add(name);
+            }
+        }
+        return names;
+    }
+
+    _origin(url) {
+        try {
+            return new URL(url).origin;
+        } catch (e) {
+            return 'null';
+        }
+    }
+}
+
+HeaderPolicy.HOP_BY_HOP_HEADERS = HOP_BY_HOP_HEADERS;
+HeaderPolicy.DEFAULT_REQUEST_HEADERS = DEFAULT_REQUEST_HEADERS;
+HeaderPolicy.DEFAULT_BLOCKED_RESPONSE_HEADERS = DEFAULT_BLOCKED_RESPONSE_HEADERS;
+HeaderPolicy.URL_RESPONSE_HEADERS = URL_RESPONSE_HEADERS;
+
+module.exports = HeaderPolicy;
@@ -0,0 +1,177 @@
+const { SESSION_COOKIE, parseCookieHeader } = require('./cookies.js');
+
+// Buckets untouched for this long are full again anyway and can be forgotten
+const BUCKET_IDLE_TTL = 10 * 60 * 1000;
+
+class LimitError extends Error {
+    constructor(message, status, retryAfter) {
+        super(message);
+        this.name = 'LimitError';
+        this.status = status;
+        this.retryAfter = retryAfter;
+    }
+}
+
+// Retry-After header value in whole seconds, never less than one
+function retryAfterSeconds(ms) {
+    return String(Math.max(1, Math.ceil(ms / 1000)));
+}
+
+// Token bucket per client: `burst` tokens up front, refilled at `perMinute` tokens a minute.
+// A perMinute of 0 turns the limiter off.
+class RateLimiter {
+    constructor(options = {}) {
+        this.perMinute = options.perMinute || 0;
+        this.burst = options.burst || Math.max(1, Math.ceil(this.perMinute / 6));
+        this.buckets = new Map();
+        this.stats = { limited: 0 };
+        this.lastSweep = Date.now();
+    }
+
+    get enabled() {
+        return this.perMinute > 0;
+    }
+
+    // { allowed, retryAfter } where retryAfter is the wait in ms until the next token
+    take(key, cost = 1) {
+        if (!this.enabled) return { allowed: true, retryAfter: 0 };
+
+        const now = Date.now();
+        this.sweep(now);
+
+        const rate = this.perMinute / 60000;
+        let bucket = this.buckets.get(key);
+        if (!bucket) {
+            bucket = { tokens: this.burst, updated: now };
+            this.buckets.set(key, bucket);
+        }
+
+        bucket.tokens = Math.min(this.burst, bucket.tokens + (now - bucket.updated) * rate);
+        bucket.updated = now;
+
+        if (bucket.tokens >= cost) {
+            bucket.tokens -= cost;
+            return { allowed: true, retryAfter: 0 };
+        }
+
+        this.stats.limited++;
+        return { allowed: false, retryAfter: Math.ceil((cost - bucket.tokens) / rate) };
+    }
+
+    sweep(now) {
+        if (now - this.lastSweep < BUCKET_IDLE_TTL) return;
+        this.lastSweep = now;
+        for (const [key, bucket] of this.buckets) {
+            if (now - bucket.updated > BUCKET_IDLE_TTL) this.buckets.delete(key);
+        }
+    }
+
+    getStats() {
+        return { ...this.stats, clients: this.buckets.size };
+    }
+}
+
+// Client identity for rate limiting: the proxy session when keyed by session, else the IP. Only sessions
+// the CookieStore issued count, or a client could start a fresh bucket by sending a made-up cookie.
+function clientKey(req, keyBy, sessions) {
+    if (keyBy === 'session' && sessions) {
+        const sessionId = parseCookieHeader(req.headers.cookie)[SESSION_COOKIE];
+        if (sessions.hasSession(sessionId)) return 'session:' + sessionId;
+    }
+    return 'ip:' + (req.ip || req.socket.remoteAddress);
+}
+
+// Express middleware answering 429 with Retry-After once a client runs out of tokens
+function rateLimit(limiter, options = {}) {
+    const skip = options.skip || (() => false);
+    return (req, res, next) => {
+        if (!limiter.enabled || skip(req)) return next();
+
+        const { allowed, retryAfter } = limiter.take(clientKey(req, options.keyBy, options.sessions));
+        if (allowed) return next();
+
+        res.set('Retry-After', retryAfterSeconds(retryAfter));
+        res.status(429).send('Error: Too many requests');
+    };
+}
+
+// Caps simultaneous upstream requests overall and per host. Requests over either cap wait in a FIFO
+// queue; a full queue or a wait longer than queueTimeout fails with a 503 LimitError.
+class ConcurrencyLimiter {
+    constructor(options = {}) {
+        this.maxActive = options.maxActive || Infinity;
+        this.maxPerHost = options.maxPerHost || Infinity;
+        this.maxQueue = options.maxQueue !== undefined ? options.maxQueue : 256;
+        this.queueTimeout = options.queueTimeout || 30000;
+        this.active = 0;
+        this.hosts = new Map();
+        this.queue = [];
+        this.stats = { queued: 0, rejected: 0, timedOut: 0 };
+    }
+
+    canStart(host) {
+        return this.active < this.maxActive && (this.hosts.get(host) || 0) < this.maxPerHost;
+    }
+
+    start(host) {
+        this.active++;
+        this.hosts.set(host, (this.hosts.get(host) || 0) + 1);
+
+        let released = false;
+        return () => {
+            if (released) return;
+            released = true;
+            this.active--;
+            const count = this.hosts.get(host) - 1;
+            if (count) this.hosts.set(host, count); else this.hosts.delete(host);
+            this.drain();
+        };
+    }
+
+    // Starts queued requests in order, skipping those whose host is still at its cap
+    drain() {
+        for (let i = 0; i < this.queue.length && this.active < this.maxActive; i++) {
+            const waiter = this.queue[i];
+            if (!this.canStart(waiter.host)) continue;
+            this.queue.splice(i--, 1);
+            clearTimeout(waiter.timer);
+            waiter.resolve(this.start(waiter.host));
+        }
+    }
+
+    // Resolves to a release function once the request may go ahead
+    acquire(host) {
+        if (this.canStart(host) && !this.queue.some(waiter => waiter.host === host)) {
+            return Promise.resolve(this.start(host));
+        }
+
+        if (this.queue.length >= this.maxQueue) {
+            this.stats.rejected++;
+            return Promise.reject(new LimitError('Too many upstream requests', 503, this.queueTimeout));
+        }
+
+        this.stats.queued++;
+        return new Promise((resolve, reject) => {
+            const waiter = { host, resolve };
+            waiter.timer = setTimeout(() => {
+                this.queue.splice(this.queue.indexOf(waiter), 1);
+                this.stats.timedOut++;
+                reject(new LimitError('Timed out waiting for an upstream slot', 503, this.queueTimeout));
+            }, this.queueTimeout);
+            this.queue.push(waiter);
+        });
+    }
+
+    getStats() {
+        return { ...this.stats, active: this.active, waiting: this.queue.length, hosts: this.hosts.size };
+    }
+}
+
+module.exports = {
+    LimitError,
+    RateLimiter,
+    ConcurrencyLimiter,
+    clientKey,
+    rateLimit,
+    retryAfterSeconds
+};
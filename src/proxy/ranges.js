@@ -0,0 +1,60 @@
+// Byte ranges (RFC 9110 section 14) for bodies the proxy serves itself, i.e. from the cache. Only single
+// ranges are supported; multipart/byteranges requests get the whole body, which the RFC allows.
+
+// A Range header asking for bytes that do not exist; answered with 416
+const UNSATISFIABLE = { satisfiable: false };
+
+// { start, end } (inclusive) for a body of `size` bytes, UNSATISFIABLE, or null to send the whole body
+function parseRange(header, size) {
+    const match = /^\s*bytes\s*=\s*(\d*)\s*-\s*(\d*)\s*$/i.exec(header || '');
+    if (!match || (!match[1] && !match[2])) return null;
+
+    let start;
+    let end;
+    if (!match[1]) {
+        // Suffix range: the last N bytes
+        const suffix = parseInt(match[2], 10);
+        if (!suffix) return UNSATISFIABLE;
+        start = Math.max(0, size - suffix);
+        end = size - 1;
+    } else {
+        start = parseInt(match[1], 10);
+        end = match[2] ? Math.min(parseInt(match[2], 10), size - 1) : size - 1;
+        if (match[2] && parseInt(match[2], 10) < start) return null;
+    }
+
+    if (start >= size || end < start) return UNSATISFIABLE;
+    return { start, end };
+}
+
+// Whether an If-Range precondition holds for a representation: a strong ETag match, or exactly its
+// Last-Modified date. A missing If-Range always holds.
+function ifRangeMatches(ifRange, etag, lastModified) {
+    if (!ifRange) return true;
+    const value = ifRange.trim();
+    if (value.startsWith('"') || value.startsWith('W/')) {
+        return Boolean(etag) && !value.startsWith('W/') && !etag.startsWith('W/') && value === etag.trim();
+    }
+    const since = Date.parse(value);
+    const modified = Date.parse(lastModified || '');
+    return !Number.isNaN(since) && since === modified;
+}
+
+// The range a request asks for out of a stored representation, following If-Range
+function requestedRange(requestHeaders, representation, size) {
+    if (!requestHeaders.range) return null;
+    if (!ifRangeMatches(requestHeaders['if-range'], representation.etag, representation.lastModified)) return null;
+    return parseRange(requestHeaders.range, size);
+}
+
+function contentRange(range, size) {
+    return range.satisfiable === false ? `bytes */${size}` : `bytes ${range.start}-${range.end}/${size}`;
+}
+
+module.exports = {
+    UNSATISFIABLE,
+    parseRange,
+    ifRangeMatches,
+    requestedRange,
+    contentRange
+};
@@ -0,0 +1,197 @@
+const { Readable } = require('stream');
+const nodeFetch = require('node-fetch');
+
+// Methods that may be sent again without changing the outcome on the upstream server
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE', 'TRACE'];
+
+// Gateway statuses that usually mean a transient failure between the upstream's own servers
+const RETRY_STATUSES = [502, 503, 504];
+
+// Network errors worth another attempt; anything else (bad host, TLS failures) fails the same way twice
+const RETRY_ERRORS = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'EPIPE', 'ETIMEDOUT', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'];
+
+class UpstreamError extends Error {
+    constructor(message, options = {}) {
+        super(message);
+        this.name = 'UpstreamError';
+        this.status = options.status || 502;
+        this.code = options.code || null;
+        this.attempts = options.attempts || 0;
+    }
+}
+
+// Passes a response body through and fails it once the upstream sent nothing for `timeout` ms. Only
+// reads count: while the consumer is not keeping up, the upstream is paused and the timer with it.
+class IdleTimeoutStream extends Readable {
+    constructor(source, timeout, onTimeout) {
+        super();
+        this.source = source;
+        this.timeout = timeout;
+        this.onTimeout = onTimeout;
+        this.timer = null;
+
+        source.on('data', chunk => {
+            if (this.push(chunk)) return this.arm();
+            this.suspend();
+            source.pause();
+        });
+        source.once('end', () => {
+            this.suspend();
+            this.push(null);
+        });
+        source.on('error', error => this.destroy(error));
+        this.arm();
+    }
+
+    arm() {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => {
+            this.onTimeout();
+            this.source.destroy();
+            // A body nobody reads is just dropped; erroring it would surface as an uncaught exception
+            this.destroy(this.listenerCount('error') ? new UpstreamError('Upstream read timed out', { status: 504, code: 'read-timeout' }) : undefined);
+        }, this.timeout);
+    }
+
+    suspend() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    _read() {
+        if (!this.source.isPaused() || this.source.readableEnded) return;
+        this.arm();
+        this.source.resume();
+    }
+
+    _destroy(error, callback) {
+        this.suspend();
+        if (!this.source.readableEnded) this.source.destroy();
+        callback(error);
+    }
+}
+
+// Fetches from upstream servers with a connect timeout (until the response headers arrive), an idle
+// read timeout on the body, and retries with exponential backoff and jitter for idempotent requests
+// that fail on the network or with a gateway status. Retry-After is honoured up to maxRetryDelay.
+class UpstreamClient {
+    constructor(options = {}) {
+        this.fetch = options.fetch || nodeFetch;
+        this.connectTimeout = options.connectTimeout || 10000;
+        this.readTimeout = options.readTimeout || 30000;
+        this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 3;
+        this.retryDelay = options.retryDelay || 250;
+        this.maxRetryDelay = options.maxRetryDelay || 10000;
+        this.debug = Boolean(options.debug);
+        this.stats = { requests: 0, attempts: 0, retries: 0, recovered: 0, failures: 0, timeouts: 0 };
+        // Completed requests by the number of attempts they took
+        this.attemptCounts = {};
+    }
+
+    async request(url, options = {}) {
+        const method = (options.method || 'GET').toUpperCase();
+        const retries = IDEMPOTENT_METHODS.includes(method) ? this.maxRetries : 0;
+        this.stats.requests++;
+
+        for (let attempt = 1; ; attempt++) {
+            this.stats.attempts++;
+            let response = null;
+            let error = null;
+
+            try {
+                response = await this.attempt(url, options);
+            } catch (e) {
+                error = e;
+            }
+
+            let delay = null;
+            if (attempt <= retries) {
+                if (response && RETRY_STATUSES.includes(response.status)) {
+                    const retryAfter = this.retryAfter(response);
+                    delay = retryAfter !== null ? retryAfter : this.backoff(attempt);
+                    // An upstream asking for a longer pause gets its answer passed on instead
+                    if (delay > this.maxRetryDelay) delay = null;
+                } else if (error && this.isRetryable(error)) {
+                    delay = this.backoff(attempt);
+                }
+            }
+
+            if (delay === null) {
+                return this.finish(method, url, attempt, response, error);
+            }
+
+            if (response) response.body.resume();
+            this.stats.retries++;
+            this.debug && console.log(`Upstream ${method} ${url} attempt ${attempt} failed (${response ? response.status : error.message}), retrying in ${delay}ms`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+
+    async attempt(url, options) {
+        let response;
+        try {
+            response = await this.fetch(url, { ...options, timeout: this.connectTimeout });
+        } catch (error) {
+            if (error.type === 'request-timeout') {
+                this.stats.timeouts++;
+                throw new UpstreamError('Upstream timed out', { status: 504, code: 'connect-timeout' });
+            }
+            throw new UpstreamError(error.message, { code: error.code || error.type });
+        }
+
+        const body = new IdleTimeoutStream(response.body, this.readTimeout, () => this.stats.timeouts++);
+
+        return new nodeFetch.Response(body, {
+            url: response.url,
+            status: response.status,
+            statusText: response.statusText,
+            headers: response.headers
+        });
+    }
+
+    finish(method, url, attempts, response, error) {
+        this.attemptCounts[attempts] = (this.attemptCounts[attempts] || 0) + 1;
+
+        if (error) {
+            this.stats.failures++;
+            error.attempts = attempts;
+            this.debug && console.error(`Upstream ${method} ${url} failed after ${attempts} attempt${attempts === 1 ? '' : 's'}: ${error.message}`);
+            throw error;
+        }
+
+        if (attempts > 1) {
+            if (!RETRY_STATUSES.includes(response.status)) this.stats.recovered++;
+            this.debug && console.log(`Upstream ${method} ${url} answered ${response.status} after ${attempts} attempts`);
+        }
+        response.attempts = attempts;
+        return response;
+    }
+
+    isRetryable(error) {
+        return error.code === 'connect-timeout' || RETRY_ERRORS.includes(error.code);
+    }
+
+    // The delay doubles per attempt; the jitter keeps clients that failed together from retrying together
+    backoff(attempt) {
+        const delay = Math.min(this.maxRetryDelay, this.retryDelay * 2 ** (attempt - 1));
+        return Math.round(delay / 2 + Math.random() * delay / 2);
+    }
+
+    // Retry-After as milliseconds to wait, from either delay-seconds or an HTTP date
+    retryAfter(response) {
+        const value = response.headers.get('retry-after');
+        if (!value) return null;
+        if (/^\d+$/.test(value.trim())) return parseInt(value, 10) * 1000;
+        const date = Date.parse(value);
+        return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    getStats() {
+        return { ...this.stats, attemptCounts: { ...this.attemptCounts } };
+    }
+}
+
+UpstreamClient.UpstreamError = UpstreamError;
+UpstreamClient.IdleTimeoutStream = IdleTimeoutStream;
+
+module.exports = UpstreamClient;
@@ -0,0 +1,230 @@
+const WebSocket = require('ws');
+const { URL } = require('url');
+const { SESSION_COOKIE, parseCookieHeader } = require('./cookies.js');
+const { clientKey } = require('./limits.js');
+
+// Upgrade path the client runtime opens for every WebSocket a proxied page creates
+const TUNNEL_PATH = '/blissfly/ws';
+
+// Browser handshake headers that are safe to pass on to the upstream server
+const FORWARDED_HEADERS = ['accept-language', 'cache-control', 'pragma', 'user-agent'];
+
+// Close codes that are reserved for reporting and may not be sent in a close frame
+const RESERVED_CLOSE_CODES = [1005, 1006, 1015];
+
+// Bytes a socket may have queued for sending before the side feeding it is paused
+const DEFAULT_HIGH_WATER_MARK = 1024 * 1024;
+
+// Relays frames between a browser socket on TUNNEL_PATH and the upstream ws/wss URL it encodes.
+// The browser handshake only completes once the upstream one has, so readyState, the negotiated
+// subprotocol and connection failures look the same to the page as a direct connection would.
+class WebSocketTunnel {
+    constructor(options = {}) {
+        this.cookieStore = options.cookieStore;
+        this.destinations = options.destinations || null;
+        // Token bucket shared by every socket of a client, charged per message sent upstream
+        this.messageLimiter = options.messageLimiter || null;
+        this.rateLimitKey = options.rateLimitKey || 'ip';
+        this.decodeUrl = options.decodeUrl;
+        this.debug = Boolean(options.debug);
+        this.handshakeTimeout = options.handshakeTimeout || 30000;
+        this.maxPayload = options.maxPayload || 100 * 1024 * 1024;
+        this.highWaterMark = options.highWaterMark || DEFAULT_HIGH_WATER_MARK;
+        this.sockets = new Set();
+        this.stats = { opened: 0, failed: 0, limited: 0, messagesIn: 0, messagesOut: 0 };
+        this.server = new WebSocket.Server({
+            noServer: true,
+            maxPayload: this.maxPayload,
+            handleProtocols: (protocols, req) => req.upstreamProtocol || false
+        });
+    }
+
+    matches(req) {
+        return new URL(req.url, 'http://localhost').pathname === TUNNEL_PATH;
+    }
+
+    // Target socket URL and the emulated page origin from ?url=&origin=
+    parseRequest(req) {
+        const params = new URL(req.url, 'http://localhost').searchParams;
+        const target = new URL(this.decodeUrl(params.get('url') || ''));
+        if (!['ws:', 'wss:'].includes(target.protocol)) {
+            throw new Error('Unsupported WebSocket protocol ' + target.protocol);
+        }
+
+        let origin = null;
+        try {
+            origin = params.get('origin') ? new URL(params.get('origin')).origin : null;
+        } catch (e) {}
+
+        // Without a page origin, behave like a page served by the socket's own host
+        if (!origin || origin === 'null') {
+            origin = (target.protocol === 'wss:' ? 'https://' : 'http://') + target.host;
+        }
+
+        return { target: target.href, origin };
+    }
+
+    cookieJar(req) {
+        const sessionId = parseCookieHeader(req.headers.cookie)[SESSION_COOKIE];
+        return this.cookieStore && sessionId ? this.cookieStore.getJar(sessionId) : null;
+    }
+
+    upstreamHeaders(req, target, origin, jar) {
+        const headers = { Origin: origin };
+        for (const name of FORWARDED_HEADERS) {
+            if (req.headers[name]) headers[name] = req.headers[name];
+        }
+        if (jar) {
+            const cookie = jar.getCookieHeader(target, { siteUrl: origin });
+            if (cookie) headers.Cookie = cookie;
+        }
+        return headers;
+    }
+
+    protocols(req) {
+        return (req.headers['sec-websocket-protocol'] || '')
+            .split(',')
+            .map(protocol => protocol.trim())
+            .filter(Boolean);
+    }
+
+    // Only pages served by the proxy itself may open tunnels with the visitor's session
+    sameOrigin(req) {
+        if (!req.headers.origin) return true;
+        try {
+            return new URL(req.headers.origin).host === req.headers.host;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    handleUpgrade(req, socket, head) {
+        if (!this.sameOrigin(req)) return this.reject(socket, 403, 'Forbidden');
+
+        let target, origin;
+        try {
+            ({ target, origin } = this.parseRequest(req));
+        } catch (error) {
+            return this.reject(socket, 400, 'Bad Request');
+        }
+
+        if (this.destinations) {
+            try {
+                this.destinations.check(target);
+            } catch (error) {
+                this.stats.failed++;
+                return this.reject(socket, 403, 'Forbidden');
+            }
+        }
+
+        const jar = this.cookieJar(req);
+        const upstream = new WebSocket(target, this.protocols(req), {
+            headers: this.upstreamHeaders(req, target, origin, jar),
+            handshakeTimeout: this.handshakeTimeout,
+            maxPayload: this.maxPayload,
+            perMessageDeflate: true,
+            followRedirects: false,
+            // Same connect-time address check as HTTP requests
+            lookup: this.destinations ? this.destinations.lookup : undefined
+        });
+
+        const abort = () => upstream.terminate();
+        socket.once('close', abort);
+
+        upstream.on('upgrade', response => {
+            if (jar) jar.setCookies([].concat(response.headers['set-cookie'] || []), target);
+        });
+
+        upstream.on('unexpected-response', (request, response) => {
+            socket.removeListener('close', abort);
+            this.stats.failed++;
+            this.debug && console.error(`WebSocket tunnel to ${target} refused: ${response.statusCode}`);
+            request.destroy();
+            this.reject(socket, 502, 'Bad Gateway');
+        });
+
+        upstream.on('error', error => {
+            if (upstream.readyState === WebSocket.OPEN || socket.destroyed) return;
+            socket.removeListener('close', abort);
+            this.stats.failed++;
+            this.debug && console.error(`WebSocket tunnel to ${target} failed:`, error.message);
+            this.reject(socket, 502, 'Bad Gateway');
+        });
+
+        upstream.once('open', () => {
+            socket.removeListener('close', abort);
+            req.upstreamProtocol = upstream.protocol;
+            this.server.handleUpgrade(req, socket, head, client => this.relay(client, upstream, clientKey(req, this.rateLimitKey, this.cookieStore)));
+        });
+    }
+
+    relay(client, upstream, rateKey) {
+        this.stats.opened++;
+        this.sockets.add(client);
+
+        client.on('message', (data, isBinary) => {
+            if (this.messageLimiter && !this.messageLimiter.take(rateKey).allowed) {
+                this.stats.limited++;
+                client.close(1008, 'Rate limit exceeded');
+                return;
+            }
+            this.stats.messagesOut++;
+            this.forward(client, upstream, data, isBinary);
+        });
+        upstream.on('message', (data, isBinary) => {
+            this.stats.messagesIn++;
+            this.forward(upstream, client, data, isBinary);
+        });
+
+        client.on('close', (code, reason) => this.close(upstream, code, reason));
+        upstream.on('close', (code, reason) => this.close(client, code, reason));
+        client.on('close', () => this.sockets.delete(client));
+
+        client.on('error', error => {
+            this.debug && console.error('WebSocket tunnel client error:', error.message);
+            upstream.terminate();
+        });
+        upstream.on('error', error => {
+            this.debug && console.error('WebSocket tunnel upstream error:', error.message);
+            client.terminate();
+        });
+    }
+
+    // Sends a message on and stops reading from its source while the destination has more than the
+    // high-water mark queued, so a slow reader on one side cannot make the other side buffer without bound
+    forward(source, destination, data, isBinary) {
+        if (destination.readyState !== WebSocket.OPEN) return;
+        destination.send(data, { binary: isBinary }, () => {
+            // Called once the frame is written out (or the socket failed), when the queue may have drained
+            if (source.isPaused && destination.bufferedAmount < this.highWaterMark) source.resume();
+        });
+        if (!source.isPaused && destination.bufferedAmount >= this.highWaterMark) source.pause();
+    }
+
+    // Passes a close handshake on to the other side, dropping codes that cannot go on the wire
+    close(ws, code, reason) {
+        if (ws.readyState !== WebSocket.OPEN && ws.readyState !== WebSocket.CONNECTING) return;
+        if (RESERVED_CLOSE_CODES.includes(code)) {
+            if (code === 1006) return ws.terminate();
+            return ws.close();
+        }
+        ws.close(code, reason);
+    }
+
+    reject(socket, status, message) {
+        if (socket.destroyed) return;
+        socket.end(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+    }
+
+    getStats() {
+        return { ...this.stats, active: this.sockets.size };
+    }
+
+    closeAll() {
+        for (const client of this.sockets) client.close(1001, 'Server shutting down');
+    }
+}
+
+WebSocketTunnel.TUNNEL_PATH = TUNNEL_PATH;
+
+module.exports = WebSocketTunnel;
@@ -0,0 +1,115 @@
+// How much of a body is examined for a byte order mark or an in-document declaration, as browsers do
+const SNIFF_BYTES = 1024;
+
+const BOMS = [
+    [Buffer.from([0xef, 0xbb, 0xbf]), 'utf-8'],
+    [Buffer.from([0xfe, 0xff]), 'utf-16be'],
+    [Buffer.from([0xff, 0xfe]), 'utf-16le']
+];
+
+// Covers both <meta charset="..."> and <meta http-equiv="Content-Type" content="text/html; charset=...">
+const META_CHARSET = /<meta\s[^>]*?charset\s*=\s*["']?\s*([\w.:-]+)/i;
+
+// CSS only honours @charset as the very first bytes, written exactly like this
+const CSS_CHARSET = /^@charset "([^"]+)";/;
+
+// XML declaration of an XML document such as a DASH manifest
+const XML_ENCODING = /^<\?xml[^>]*?\sencoding\s*=\s*["']([\w.:-]+)/;
+
+const DOCUMENT_CHARSETS = { html: META_CHARSET, css: CSS_CHARSET, dash: XML_ENCODING };
+
+// WHATWG name for an encoding label ("latin1" becomes "windows-1252"), or null when it is not supported
+function normalizeCharset(label) {
+    if (!label) return null;
+    try {
+        return new TextDecoder(String(label).trim()).encoding;
+    } catch (e) {
+        return null;
+    }
+}
+
+function charsetFromContentType(contentType) {
+    const match = /;\s*charset\s*=\s*["']?([^"';\s]+)/i.exec(contentType || '');
+    return match ? normalizeCharset(match[1]) : null;
+}
+
+function charsetFromBom(head) {
+    const bom = BOMS.find(([bytes]) => head.subarray(0, bytes.length).equals(bytes));
+    return bom ? bom[1] : null;
+}
+
+// Encoding a document declares for itself: <meta charset> in HTML, @charset in CSS, the XML declaration in DASH
+function charsetFromDocument(head, kind) {
+    const pattern = DOCUMENT_CHARSETS[kind];
+    // Declarations are ASCII, which reads the same in every encoding a document may declare
+    const match = pattern ? pattern.exec(head.toString('latin1')) : null;
+    const charset = normalizeCharset(match && match[1]);
+    // A document that could be read far enough to find its declaration cannot be UTF-16
+    return charset && charset.startsWith('utf-16') ? 'utf-8' : charset;
+}
+
+function isUtf8(head) {
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(head, { stream: true });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+// Follows the order browsers use: byte order mark, then the Content-Type header, then the document's
+// own declaration. Undeclared bodies that are not valid UTF-8 are read as Windows-1252, the legacy default.
+function detectCharset(head, contentType, kind) {
+    return charsetFromBom(head)
+        || charsetFromContentType(contentType)
+        || charsetFromDocument(head, kind)
+        || (isUtf8(head) ? 'utf-8' : 'windows-1252');
+}
+
+// Streaming bytes-to-text decoder for a response body in whatever encoding it arrives in. The encoding
+// is settled once the first SNIFF_BYTES have arrived (or the body ended), so text comes out from then on.
+class CharsetDecoder {
+    constructor(options = {}) {
+        this.contentType = options.contentType || '';
+        this.kind = options.kind || null;
+        this.charset = null;
+        this.decoder = null;
+        this.head = [];
+        this.headLength = 0;
+    }
+
+    write(chunk) {
+        if (this.decoder) return this.decoder.decode(chunk, { stream: true });
+
+        this.head.push(chunk);
+        this.headLength += chunk.length;
+        return this.headLength >= SNIFF_BYTES ? this.start() : '';
+    }
+
+    end() {
+        const text = this.decoder ? '' : this.start();
+        return text + this.decoder.decode();
+    }
+
+    start() {
+        const head = Buffer.concat(this.head);
+        this.head = [];
+        this.charset = detectCharset(head, this.contentType, this.kind);
+        this.decoder = new TextDecoder(this.charset);
+        return this.decoder.decode(head, { stream: true });
+    }
+}
+
+// Decodes a complete body in one go
+function decodeBody(buffer, contentType, kind) {
+    const decoder = new CharsetDecoder({ contentType, kind });
+    return decoder.write(buffer) + decoder.end();
+}
+
+module.exports = {
+    SNIFF_BYTES,
+    CharsetDecoder,
+    decodeBody,
+    detectCharset,
+    normalizeCharset
+};
@@ -0,0 +1,268 @@
+const { rewriteUrl } = require('./url.js');
+
+// Functions whose bare string arguments are image URLs
+const IMAGE_SET_FUNCTIONS = ['image-set', '-webkit-image-set'];
+
+function isIdentStart(css, i) {
+    const char = css[i];
+    if (!char) return false;
+    if (char === '\\') return css[i + 1] !== undefined && css[i + 1] !== '\n';
+    return /[a-zA-Z_\-]/.test(char) || char.charCodeAt(0) >= 0x80;
+}
+
+function readIdent(css, start) {
+    let i = start;
+    while (i < css.length) {
+        const char = css[i];
+        if (char === '\\' && css[i + 1] !== undefined && css[i + 1] !== '\n') {
+            const hex = /^[0-9a-fA-F]{1,6}[ \t\n]?/.exec(css.slice(i + 1, i + 8));
+            i += hex ? 1 + hex[0].length : 2;
+        } else if (/[a-zA-Z0-9_\-]/.test(char) || char.charCodeAt(0) >= 0x80) {
+            i++;
+        } else {
+            break;
+        }
+    }
+    return css.slice(start, i);
+}
+
+// Returns the index just past a quoted string starting at start, and whether it was properly closed
+function scanString(css, start) {
+    const quote = css[start];
+    let i = start + 1;
+    while (i < css.length) {
+        const char = css[i];
+        if (char === '\\') {
+            i += 2;
+        } else if (char === quote) {
+            return { end: i + 1, closed: true };
+        } else if (char === '\n') {
+            return { end: i, closed: false };
+        } else {
+            i++;
+        }
+    }
+    return { end: css.length, closed: false };
+}
+
+// Index past the ')' closing a malformed url( whose argument starts at start, as a bad-url token ends there.
+// Without one only the 'url(' itself is skipped so the rest of the chunk is still scanned.
+function badUrlEnd(css, start) {
+    for (let i = start; i < css.length; i++) {
+        if (css[i] === '\\') i++;
+        else if (css[i] === ')') return i + 1;
+    }
+    return start;
+}
+
+function unescapeCss(value) {
+    return value.replace(/\\(?:([0-9a-fA-F]{1,6})[ \t\n]?|(\n)|([\s\S]))/g, (match, hex, newline, char) => {
+        if (hex) {
+            const code = parseInt(hex, 16);
+            const invalid = code === 0 || code > 0x10FFFF || (code >= 0xD800 && code <= 0xDFFF);
+            return invalid ? '\uFFFD' : String.fromCodePoint(code);
+        }
+        if (newline) return '';
+        return char;
+    });
+}
+
+function quoteCss(value) {
+    return '"' + value.replace(/["\\\n\r\f]/g, (char) => {
+        if (char === '"' || char === '\\') return '\\' + char;
+        return '\\' + char.charCodeAt(0).toString(16) + ' ';
+    }) + '"';
+}
+
+// Index just past the last '{', '}' or ';' that sits outside strings, comments and parentheses,
+// which is a point where a stylesheet can be cut without splitting a token
+function cssBoundary(text) {
+    let boundary = 0;
+    let depth = 0;
+    let quote = null;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quote) {
+            if (char === '\\') i++;
+            else if (char === quote || char === '\n') quote = null;
+            continue;
+        }
+
+        if (char === '/' && text[i + 1] === '*') {
+            const end = text.indexOf('*/', i + 2);
+            if (end < 0) break;
+            i = end + 1;
+            continue;
+        }
+
+        switch (char) {
+            case '\\':
+                i++;
+                break;
+            case '"':
+            case '\'':
+                quote = char;
+                break;
+            case '(':
+                depth++;
+                break;
+            case ')':
+                depth = Math.max(0, depth - 1);
+                break;
+            case '{':
+            case '}':
+            case ';':
+                if (depth === 0) boundary = i + 1;
+                break;
+        }
+    }
+
+    return boundary;
+}
+
+class BlissFlyCssRewriter {
+    // Rewrites every URL reference in a stylesheet or declaration list: url() in all its forms,
+    // @import strings and the string arguments of image-set()
+    static transformCss(css, baseUrl) {
+        const functions = [];
+        let output = '';
+        let last = 0;
+        let importPending = false;
+        // @namespace url() names a namespace, it is never fetched
+        let inNamespace = false;
+        let i = 0;
+
+        const rewrite = (value) => {
+            const rewritten = rewriteUrl(value.trim(), baseUrl);
+            return rewritten === value.trim() ? null : rewritten;
+        };
+
+        const replace = (start, end, text) => {
+            output += css.slice(last, start) + text;
+            last = end;
+        };
+
+        while (i < css.length) {
+            const char = css[i];
+
+            if (char === '/' && css[i + 1] === '*') {
+                const end = css.indexOf('*/', i + 2);
+                i = end < 0 ? css.length : end + 2;
+                continue;
+            }
+
+            if (char === '"' || char === '\'') {
+                const { end, closed } = scanString(css, i);
+                const inImageSet = IMAGE_SET_FUNCTIONS.includes(functions[functions.length - 1]);
+
+                if (importPending || inImageSet) {
+                    const rewritten = rewrite(unescapeCss(css.slice(i + 1, closed ? end - 1 : end)));
+                    if (rewritten !== null) replace(i, end, quoteCss(rewritten));
+                    importPending = false;
+                }
+                i = end;
+                continue;
+            }
+
+            if (char === '@' && isIdentStart(css, i + 1)) {
+                const name = readIdent(css, i + 1);
+                const rule = unescapeCss(name).toLowerCase();
+                importPending = rule === 'import';
+                inNamespace = rule === 'namespace';
+                i += 1 + name.length;
+                continue;
+            }
+
+            if (isIdentStart(css, i)) {
+                const ident = readIdent(css, i);
+                const end = i + ident.length;
+
+                if (css[end] !== '(') {
+                    i = end;
+                    continue;
+                }
+
+                const name = unescapeCss(ident).toLowerCase();
+                if (name === 'url') {
+                    const token = this.readUrlToken(css, end + 1);
+                    if (!token) {
+                        i = badUrlEnd(css, end + 1);
+                        continue;
+                    }
+
+                    const rewritten = inNamespace ? null : rewrite(token.value);
+                    if (rewritten !== null) replace(i, token.end, `url(${quoteCss(rewritten)})`);
+                    importPending = false;
+                    i = token.end;
+                    continue;
+                }
+
+                functions.push(name);
+                i = end + 1;
+                continue;
+            }
+
+            switch (char) {
+                case '\\':
+                    i += 2;
+                    continue;
+                case '(':
+                    functions.push('(');
+                    break;
+                case ')':
+                    functions.pop();
+                    break;
+                case ';':
+                case '{':
+                case '}':
+                    importPending = false;
+                    inNamespace = false;
+                    functions.length = 0;
+                    break;
+            }
+            i++;
+        }
+
+        return output + css.slice(last);
+    }
+
+    // Reads the argument of url( starting at start, returns its unescaped value and the index past ')'
+    static readUrlToken(css, start) {
+        let i = start;
+        while (/\s/.test(css[i] || '')) i++;
+
+        if (css[i] === '"' || css[i] === '\'') {
+            const { end, closed } = scanString(css, i);
+            const value = unescapeCss(css.slice(i + 1, closed ? end - 1 : end));
+            let close = end;
+            while (/\s/.test(css[close] || '')) close++;
+            return css[close] === ')' ? { value, end: close + 1 } : null;
+        }
+
+        let value = '';
+        while (i < css.length) {
+            const char = css[i];
+            if (char === ')') {
+                return { value: unescapeCss(value), end: i + 1 };
+            }
+            if (char === '\\' && css[i + 1] !== undefined) {
+                value += css.slice(i, i + 2);
+                i += 2;
+            } else if (/\s/.test(char)) {
+                let close = i;
+                while (/\s/.test(css[close] || '')) close++;
+                return css[close] === ')' ? { value: unescapeCss(value), end: close + 1 } : null;
+            } else {
+                value += char;
+                i++;
+            }
+        }
+        return null;
+    }
+}
+
+BlissFlyCssRewriter.cssBoundary = cssBoundary;
+
+module.exports = BlissFlyCssRewriter;
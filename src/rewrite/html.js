@@ -1,34 +1,404 @@
+const { CharsetDecoder } = require('./charset.js');
+const { CLIENT_PATH, WORKER_PATH, WORKER_SCOPE } = require('../client/build.js');
+const BlissFlyCssRewriter = require('./css.js');
+const BlissFlyJsRewriter = require('./js.js');
+const { rewriteUrl } = require('./url.js');
+
+// Attributes holding a single URL, keyed by attribute name with the tags they apply to ('*' for any tag)
+const URL_ATTRIBUTES = {
+    action: ['form'],
+    background: ['body', 'table', 'td', 'th'],
+    cite: ['blockquote', 'del', 'ins', 'q'],
+    codebase: ['applet', 'object'],
+    data: ['object'],
+    formaction: ['button', 'input'],
+    href: ['a', 'area', 'image', 'link', 'use'],
+    icon: ['command'],
+    longdesc: ['frame', 'iframe', 'img'],
+    manifest: ['html'],
+    poster: ['video'],
+    src: ['audio', 'embed', 'frame', 'iframe', 'img', 'input', 'script', 'source', 'track', 'video'],
+    'xlink:href': '*'
+};
+
+const SRCSET_ATTRIBUTES = {
+    imagesrcset: ['link'],
+    srcset: ['img', 'source']
+};
+
+// Rewritten resources no longer match their subresource integrity hashes
+const STRIPPED_ATTRIBUTES = ['integrity'];
+
+const RAW_TEXT_TAGS = ['script', 'style'];
+
+const JAVASCRIPT_TYPE = /^(module|(text|application)\/(x-)?(javascript|ecmascript|jscript|livescript)(\s*;.*)?)?$/;
+
+const JAVASCRIPT_URL = /^\s*javascript:/i;
+
+let streamClass = null;
+
+// parse5-html-rewriting-stream only ships as an ES module
+async function loadStreamClass() {
+    if (!streamClass) {
+        const { RewritingStream } = await import('parse5-html-rewriting-stream');
+
+        // Accepts raw bytes in the document's own charset as well as strings, and always emits UTF-8 text.
+        // The rewriter pushes every token on its own; they are collected and go out as one chunk per
+        // chunk written, which is what a compressor behind this stream flushes on.
+        streamClass = class HtmlRewritingStream extends RewritingStream {
+            constructor(contentType) {
+                super();
+                this.decoder = new CharsetDecoder({ contentType, kind: 'html' });
+                this.batch = null;
+            }
+
+            push(chunk) {
+                if (this.batch === null || chunk === null) return super.push(chunk);
+                this.batch += chunk;
+                return true;
+            }
+
+            // Runs the rewriter on some text and pushes everything it produced at once
+            _rewriteBatch(rewrite) {
+                this.batch = '';
+                try {
+                    rewrite();
+                } finally {
+                    const output = this.batch;
+                    this.batch = null;
+                    if (output) this.push(output);
+                }
+            }
+
+            _transform(chunk, encoding, callback) {
+                const text = Buffer.isBuffer(chunk) ? this.decoder.write(chunk) : chunk;
+                if (!text) return callback();
+                this._rewriteBatch(() => super._transform(text, encoding, () => {}));
+                callback();
+            }
+
+            _final(callback) {
+                this._rewriteBatch(() => {
+                    const rest = this.decoder.end();
+                    if (rest) this._transformChunk(rest);
+
+                    this.lastChunkWritten = true;
+                    this._transformChunk('');
+                    this.emit('eof');
+                });
+                callback();
+            }
+        };
+    }
+    return streamClass;
+}
+
+function appliesTo(tags, tagName) {
+    return Boolean(tags) && (tags === '*' || tags.includes(tagName));
+}
+
+function getAttr(token, name) {
+    const attr = token.attrs.find(attr => attr.name === name);
+    return attr ? attr.value : null;
+}
+
 class BlissFlyRewriter {
-    static transformHtml(html, baseUrl) {
+    static async transformHtml(html, baseUrl, options = {}) {
+        const stream = await this.createStream(baseUrl, options);
+
+        return new Promise((resolve, reject) => {
+            let output = '';
+            stream.on('data', chunk => output += chunk);
+            stream.on('end', () => resolve(output));
+            stream.on('error', reject);
+            stream.end(html);
+        });
+    }
+
+    // Returns a string Transform stream that rewrites an HTML document as it is written
+    static async createStream(baseUrl, options = {}) {
+        const HtmlRewritingStream = await loadStreamClass();
+        const stream = new HtmlRewritingStream(options.contentType);
+        this.attachRewriter(stream, baseUrl, options);
+        return stream;
+    }
+
+    // Rewrites a whole document synchronously, for documents nested in attributes (<iframe srcdoc>).
+    // Only called while a stream is being rewritten, so the stream class is already loaded.
+    static transformHtmlSync(html, baseUrl, options = {}) {
+        const stream = new streamClass();
+        let output = '';
+        // Collected straight from the rewriter instead of going through the stream buffers
+        stream.push = chunk => {
+            output += chunk;
+            return true;
+        };
+        this.attachRewriter(stream, baseUrl, options);
+        stream.lastChunkWritten = true;
+        stream._transformChunk(html);
+        stream.emit('eof');
+        return output;
+    }
+
+    // Installs the token handlers that rewrite a document on an HtmlRewritingStream
+    static attachRewriter(stream, baseUrl, options) {
+        const state = {
+            base: baseUrl,
+            baseSeen: false,
+            injected: false,
+            rawText: null,
+            options
+        };
+
+        const inject = () => {
+            if (state.injected) return;
+            state.injected = true;
+            stream.emitRaw(this.clientScript(baseUrl, options));
+        };
+
+        const flushRawText = () => {
+            const { token, chunks } = state.rawText;
+            state.rawText = null;
+            stream.emitRaw(this.transformRawText(token, chunks.join(''), state));
+        };
+
+        stream.on('doctype', (token, raw) => stream.emitRaw(raw));
+        stream.on('comment', (token, raw) => stream.emitRaw(raw));
+
+        stream.on('startTag', (token, raw) => {
+            if (!['html', 'head'].includes(token.tagName)) inject();
+
+            if (this.isDroppedTag(token)) return;
+
+            if (this.rewriteTag(token, state)) {
+                stream.emitStartTag(token);
+            } else {
+                stream.emitRaw(raw);
+            }
+
+            if (token.tagName === 'head') inject();
+
+            if (RAW_TEXT_TAGS.includes(token.tagName) && !token.selfClosing) {
+                state.rawText = { token, chunks: [] };
+            }
+        });
+
+        stream.on('endTag', (token, raw) => {
+            if (state.rawText && state.rawText.token.tagName === token.tagName) {
+                flushRawText();
+            }
+            stream.emitRaw(raw);
+        });
+
+        stream.on('text', (token, raw) => {
+            if (state.rawText) {
+                state.rawText.chunks.push(raw);
+                return;
+            }
+            if (raw.trim()) inject();
+            stream.emitRaw(raw);
+        });
+
+        stream.on('eof', () => {
+            if (state.rawText) flushRawText();
+            inject();
+        });
+    }
+
+    static clientScript(baseUrl, options = {}) {
         // Add meta injection
         const meta = {
             url: baseUrl,
             base: new URL(baseUrl).origin,
+            cookies: options.cookies || '',
+            serviceWorker: options.serviceWorker ? { path: WORKER_PATH, scope: WORKER_SCOPE } : null
         };
 
-        // Inject BlissFly client
-        const clientScript = `
+        // Inject BlissFly client; the bundle picks the meta up from window.__blissfly
+        return `
             <script>
                 window.__blissfly = {
-                    meta: ${JSON.stringify(meta)}
+                    meta: ${JSON.stringify(meta).replace(/</g, '\\u003c')}
                 };
             </script>
+            <script src="${CLIENT_PATH}"></script>
         `;
+    }
 
-        // Transform URLs and inject client
-        return html
-            .replace('</head>', `${clientScript}</head>`)
-            .replace(/(?<=<(?:a|link|img|script|iframe|source|embed).*?(?:href|src)=["'])(.*?)(?=["'])/g, 
-                (_, url) => this.rewriteUrl(url, baseUrl));
+    // Tags that would defeat the proxy if they reached the browser at all
+    static isDroppedTag(token) {
+        if (token.tagName !== 'meta') return false;
+        const httpEquiv = (getAttr(token, 'http-equiv') || '').toLowerCase();
+        return httpEquiv === 'content-security-policy' || httpEquiv === 'content-security-policy-report-only';
     }
 
-    static rewriteUrl(url, base) {
+    // Rewrites URL-bearing attributes of a start tag in place, returns whether anything changed
+    static rewriteTag(token, state) {
+        const tagName = token.tagName;
+        let changed = false;
+
+        if (tagName === 'base') {
+            const href = getAttr(token, 'href');
+            if (href !== null && !state.baseSeen) {
+                state.baseSeen = true;
+                try {
+                    state.base = new URL(href.trim(), state.base).href;
+                } catch (e) {}
+            }
+        }
+
+        const attrs = [];
+        for (const original of token.attrs) {
+            // Foreign content attributes arrive split into prefix and name (xlink:href)
+            const attr = original.prefix
+                ? { name: `${original.prefix}:${original.name}`, value: original.value }
+                : original;
+            const name = attr.name;
+            let value = attr.value;
+
+            if (STRIPPED_ATTRIBUTES.includes(name)) {
+                changed = true;
+                continue;
+            }
+
+            if (tagName === 'base' && name === 'href') {
+                // Keep the document base for the client runtime without letting the browser resolve against it
+                attrs.push({ ...attr, name: 'data-blissfly-href', value: state.base });
+                changed = true;
+                continue;
+            }
+
+            if (name.startsWith('on')) {
+                value = BlissFlyJsRewriter.transformJavaScript(value, state.base);
+            } else if (appliesTo(URL_ATTRIBUTES[name], tagName) && JAVASCRIPT_URL.test(value)) {
+                const code = value.replace(JAVASCRIPT_URL, '');
+                value = 'javascript:' + BlissFlyJsRewriter.transformJavaScript(code, state.base);
+            } else if (appliesTo(URL_ATTRIBUTES[name], tagName)) {
+                value = this.rewriteUrl(value.trim(), state.base);
+            } else if (appliesTo(SRCSET_ATTRIBUTES[name], tagName)) {
+                value = this.rewriteSrcset(value, state.base);
+            } else if (name === 'ping' && ['a', 'area'].includes(tagName)) {
+                value = value.split(/\s+/).filter(Boolean).map(url => this.rewriteUrl(url, state.base)).join(' ');
+            } else if (name === 'style') {
+                value = this.transformCss(value, state.base);
+            } else if (name === 'srcdoc' && tagName === 'iframe') {
+                // The frame document shares this document's base URL and needs the client as much as it does
+                value = this.transformHtmlSync(value, state.base, state.options);
+            } else if (name === 'content' && tagName === 'meta' &&
+                (getAttr(token, 'http-equiv') || '').toLowerCase() === 'refresh') {
+                value = this.rewriteRefresh(value, state.base);
+            } else if (tagName === 'meta' && name === 'charset') {
+                // The document has been transcoded, so its declaration has to follow
+                value = 'utf-8';
+            } else if (name === 'content' && tagName === 'meta' &&
+                (getAttr(token, 'http-equiv') || '').toLowerCase() === 'content-type') {
+                value = value.replace(/(charset\s*=\s*)[^\s;"']+/i, '$1utf-8');
+            }
+
+            if (value !== attr.value) changed = true;
+            attrs.push(value === attr.value ? attr : { ...attr, value });
+        }
+
+        token.attrs = attrs;
+        return changed;
+    }
+
+    // Contents of <style> and <script> elements
+    static transformRawText(token, text, state) {
+        if (token.tagName === 'style') {
+            return this.transformCss(text, state.base);
+        }
+
+        const type = (getAttr(token, 'type') || '').trim().toLowerCase();
+        if (type === 'importmap') {
+            return this.rewriteImportMap(text, state.base);
+        }
+        if (JAVASCRIPT_TYPE.test(type)) {
+            return BlissFlyJsRewriter.transformJavaScript(text, state.base, { module: type === 'module' });
+        }
+
+        return text;
+    }
+
+    static rewriteImportMap(text, base) {
+        let map;
         try {
-            const absolute = new URL(url, base).href;
-            return '/watch?url=' + btoa(encodeURIComponent(absolute));
-        } catch(e) {
-            return url;
+            map = JSON.parse(text);
+        } catch (e) {
+            return text;
         }
+
+        const isUrlLike = specifier => /^(\/|\.\.?\/|[a-z][a-z0-9+.-]*:)/i.test(specifier);
+        const rewriteEntries = (entries) => {
+            const result = {};
+            for (const [specifier, target] of Object.entries(entries || {})) {
+                const key = isUrlLike(specifier) ? this.rewriteUrl(specifier, base) : specifier;
+                result[key] = typeof target === 'string' ? this.rewriteUrl(target, base) : target;
+            }
+            return result;
+        };
+
+        if (map.imports) {
+            map.imports = rewriteEntries(map.imports);
+        }
+        if (map.scopes) {
+            const scopes = {};
+            for (const [scope, entries] of Object.entries(map.scopes)) {
+                scopes[this.rewriteUrl(scope, base)] = rewriteEntries(entries);
+            }
+            map.scopes = scopes;
+        }
+
+        return JSON.stringify(map).replace(/</g, '\\u003c');
+    }
+
+    // Follows the HTML srcset grammar so commas inside URLs (data: URIs) survive
+    static rewriteSrcset(value, base) {
+        const candidates = [];
+        let position = 0;
+
+        while (position < value.length) {
+            while (position < value.length && /[\s,]/.test(value[position])) position++;
+            if (position >= value.length) break;
+
+            let end = position;
+            while (end < value.length && !/\s/.test(value[end])) end++;
+            let url = value.slice(position, end);
+            position = end;
+
+            let descriptor = '';
+            if (/,+$/.test(url)) {
+                url = url.replace(/,+$/, '');
+            } else {
+                let depth = 0;
+                const start = position;
+                while (position < value.length && (value[position] !== ',' || depth > 0)) {
+                    if (value[position] === '(') depth++;
+                    if (value[position] === ')') depth = Math.max(0, depth - 1);
+                    position++;
+                }
+                descriptor = value.slice(start, position).trim();
+            }
+
+            candidates.push(descriptor ? `${this.rewriteUrl(url, base)} ${descriptor}` : this.rewriteUrl(url, base));
+        }
+
+        return candidates.join(', ');
+    }
+
+    static transformCss(css, baseUrl) {
+        return BlissFlyCssRewriter.transformCss(css, baseUrl);
+    }
+
+    // Rewrites the target of a Refresh header or <meta http-equiv="refresh"> value ("5; url=/next")
+    static rewriteRefresh(value, base) {
+        const match = /^(\s*[\d.]+\s*[;,]?\s*(?:url\s*=\s*)?)(['"]?)([^'"]*)(['"]?)\s*$/i.exec(value);
+        if (!match || !match[3].trim()) return value;
+        return match[1] + match[2] + this.rewriteUrl(match[3].trim(), base) + match[4];
+    }
+
+    static rewriteUrl(url, base) {
+        return rewriteUrl(url, base);
     }
 }
 
@@ -1,14 +1,133 @@
 const BlissFlyRewriter = require('./html.js');
+const BlissFlyCssRewriter = require('./css.js');
+const BlissFlyJsRewriter = require('./js.js');
+const BlissFlyManifestRewriter = require('./manifest.js');
+const { TextRewriteStream, BufferedRewriteStream } = require('./stream.js');
+
+// Types servers commonly send streaming manifests as when they do not know better
+const GENERIC_TYPES = ['', 'text/plain', 'application/octet-stream', 'binary/octet-stream'];
+
+const MANIFEST_TYPES = {
+    hls: 'application/vnd.apple.mpegurl',
+    dash: 'application/dash+xml'
+};
+
+// What kind of rewriting a body needs, from its type or, for manifests sent with a generic type,
+// from the extension of its URL
+function contentKind(contentType = '', url = '') {
+    contentType = contentType.toLowerCase();
+    if (contentType.includes('html')) return 'html';
+    if (contentType.includes('css')) return 'css';
+    if (contentType.includes('javascript') || contentType.includes('ecmascript')) return 'js';
+    if (contentType.includes('mpegurl')) return 'hls';
+    if (contentType.includes('dash+xml')) return 'dash';
+
+    if (GENERIC_TYPES.includes(contentType.split(';')[0].trim())) {
+        let pathname = '';
+        try {
+            pathname = new URL(url).pathname.toLowerCase();
+        } catch (e) {}
+        if (pathname.endsWith('.m3u8')) return 'hls';
+        if (pathname.endsWith('.mpd')) return 'dash';
+    }
+    return null;
+}
+
+// Settings applied to every stream unless a call overrides them
+const settings = {
+    maxBuffer: undefined,
+    serviceWorker: false
+};
 
 const rewriter = {
-    rewriteHTML: (html, baseUrl) => {
-        return BlissFlyRewriter.transformHtml(html, baseUrl);
+    // Takes the rewriter settings from the server configuration: body buffer limit, service worker
+    // registration and the JS cache budget
+    configure: (options = {}) => {
+        if (options.maxBuffer) settings.maxBuffer = options.maxBuffer;
+        if (options.serviceWorker !== undefined) settings.serviceWorker = Boolean(options.serviceWorker);
+        if (options.jsCacheBytes) BlissFlyJsRewriter.configure({ cacheBytes: options.jsCacheBytes });
+    },
+    // Size of the cache of rewritten scripts, for /health
+    getStats: () => {
+        return { jsCache: BlissFlyJsRewriter.getCacheStats() };
+    },
+    // Whether bodies of this type (at this URL) are rewritten rather than passed through untouched
+    isRewritable: (contentType, url) => {
+        return contentKind(contentType || '', url) !== null;
+    },
+    // Whether bodies of this type are scripts, whose rewrite differs for workers
+    isScript: contentType => {
+        return contentKind(contentType || '') === 'js';
+    },
+    // Whether the rewritten output only depends on the body and URL, so one copy can serve every visitor.
+    // HTML is excluded because the injected client carries the visitor's cookies.
+    isShareable: (contentType, url) => {
+        return ['css', 'js', 'hls', 'dash'].includes(contentKind(contentType || '', url));
+    },
+    // Content-Type of the rewritten body: always UTF-8, and manifests served with a generic type get their real one
+    outputType: (contentType, url) => {
+        const kind = contentKind(contentType || '', url);
+        const type = (contentType || '').split(';')[0].trim();
+        return (MANIFEST_TYPES[kind] && GENERIC_TYPES.includes(type.toLowerCase()) ? MANIFEST_TYPES[kind] : type) +
+            '; charset=utf-8';
+    },
+    rewriteHTML: (html, baseUrl, options) => {
+        return BlissFlyRewriter.transformHtml(html, baseUrl, options);
     },
     rewriteJS: (js, baseUrl) => {
-        return BlissFlyRewriter.transformJavaScript(js, baseUrl);
+        return BlissFlyJsRewriter.transformJavaScript(js, baseUrl);
     },
     rewriteCSS: (css, baseUrl) => {
-        return BlissFlyRewriter.transformCss(css, baseUrl);
+        return BlissFlyCssRewriter.transformCss(css, baseUrl);
+    },
+    rewriteRefresh: (value, baseUrl) => {
+        return BlissFlyRewriter.rewriteRefresh(value, baseUrl);
+    },
+    // Resolves to a Transform that rewrites a response body of the given type, or null to pass it through.
+    // The body may arrive in any charset (taken from the type, a BOM or the document itself); the
+    // rewritten output is always UTF-8.
+    createStream: async (contentType, baseUrl, options = {}) => {
+        options = { ...settings, ...options, contentType };
+        const kind = contentKind(contentType, baseUrl);
+        switch (kind) {
+            case 'html':
+                return BlissFlyRewriter.createStream(baseUrl, options);
+            case 'css':
+                return new TextRewriteStream({
+                    rewrite: css => BlissFlyCssRewriter.transformCss(css, baseUrl),
+                    boundary: BlissFlyCssRewriter.cssBoundary,
+                    maxBuffer: options.maxBuffer,
+                    contentType,
+                    kind
+                });
+            case 'js':
+                // Scripts are parsed as a whole, so they can only be buffered
+                return new BufferedRewriteStream({
+                    rewrite: js => BlissFlyJsRewriter.transformJavaScript(js, baseUrl, { worker: options.worker }),
+                    maxBuffer: options.maxBuffer,
+                    contentType,
+                    kind
+                });
+            case 'hls':
+                // Playlists are line based, so they stream like CSS
+                return new TextRewriteStream({
+                    rewrite: playlist => BlissFlyManifestRewriter.transformHls(playlist, baseUrl),
+                    boundary: BlissFlyManifestRewriter.hlsBoundary,
+                    maxBuffer: options.maxBuffer,
+                    contentType,
+                    kind
+                });
+            case 'dash':
+                // BaseURL scoping needs the whole document
+                return new BufferedRewriteStream({
+                    rewrite: mpd => BlissFlyManifestRewriter.transformDash(mpd, baseUrl),
+                    maxBuffer: options.maxBuffer,
+                    contentType,
+                    kind
+                });
+            default:
+                return null;
+        }
     }
 };
 
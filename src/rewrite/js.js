@@ -0,0 +1,257 @@
+const crypto = require('crypto');
+const acorn = require('acorn');
+const walk = require('acorn-walk');
+const { rewriteUrl } = require('./url.js');
+
+// Runtime accessors installed on window.__blissfly by the injected client
+const RUNTIME = '__blissfly';
+
+// Pass-through stand-in for the runtime in worker scripts, where the injected client never runs; scripts
+// they load with importScripts() share their global scope and find it there
+const WORKER_RUNTIME = `if (typeof self.${RUNTIME} === 'undefined') self.${RUNTIME} = {` +
+    ' $url: url => url, $get: value => value, $setLocation: (target, value) => value,' +
+    ' $getDomain: target => target.domain, $setDomain: (target, value) => target.domain = value };\n';
+
+const DEFAULT_CACHE_BYTES = 32 * 1024 * 1024;
+
+const PARSE_OPTIONS = {
+    ecmaVersion: 'latest',
+    allowHashBang: true,
+    allowReturnOutsideFunction: true
+};
+
+const cache = new Map();
+let cacheBytes = 0;
+let maxCacheBytes = DEFAULT_CACHE_BYTES;
+
+function isUrlSpecifier(specifier) {
+    return /^(\/|\.\.?\/|[a-z][a-z0-9+.-]*:)/i.test(specifier);
+}
+
+function propertyName(node) {
+    if (!node.computed && node.property.type === 'Identifier') return node.property.name;
+    if (node.computed && node.property.type === 'Literal') return String(node.property.value);
+    return null;
+}
+
+function isDocumentReference(node) {
+    if (node.type === 'Identifier') return node.name === 'document';
+    return node.type === 'MemberExpression' && propertyName(node) === 'document';
+}
+
+// Source edits collected during a post-order walk: inner nodes register first, so openings are
+// prepended and closings appended to keep nested wrappers balanced
+class SourceEdits {
+    constructor() {
+        this.edits = new Map();
+    }
+
+    _at(position) {
+        if (!this.edits.has(position)) {
+            this.edits.set(position, { close: [], open: [], replace: null });
+        }
+        return this.edits.get(position);
+    }
+
+    wrap(node, before, after) {
+        this._at(node.start).open.unshift(before);
+        this._at(node.end).close.push(after);
+    }
+
+    insertBefore(position, text) {
+        this._at(position).open.unshift(text);
+    }
+
+    insertAfter(position, text) {
+        this._at(position).close.push(text);
+    }
+
+    replace(start, end, text) {
+        this._at(start).replace = { end, text };
+    }
+
+    get size() {
+        return this.edits.size;
+    }
+
+    apply(source) {
+        const positions = Array.from(this.edits.keys()).sort((a, b) => a - b);
+        let output = '';
+        let cursor = 0;
+
+        for (const position of positions) {
+            if (position < cursor) continue;
+            const edit = this.edits.get(position);
+            output += source.slice(cursor, position) + edit.close.join('') + edit.open.join('');
+            cursor = position;
+            if (edit.replace) {
+                output += edit.replace.text;
+                cursor = edit.replace.end;
+            }
+        }
+
+        return output + source.slice(cursor);
+    }
+}
+
+class BlissFlyJsRewriter {
+    static transformJavaScript(js, baseUrl, options = {}) {
+        const key = crypto.createHash('sha256')
+            .update(`${options.module ? 'module' : 'auto'}${options.worker ? ' worker' : ''}\n${baseUrl}\n${js}`)
+            .digest('hex');
+
+        const cached = cache.get(key);
+        if (cached !== undefined) {
+            // Re-insert to keep the Map in least-recently-used order
+            cache.delete(key);
+            cache.set(key, cached);
+            return cached;
+        }
+
+        const rewritten = this.rewrite(js, baseUrl, options);
+        this._remember(key, rewritten);
+        return rewritten;
+    }
+
+    static rewrite(js, baseUrl, options = {}) {
+        const ast = this.parse(js, options);
+        if (!ast) return js;
+
+        const edits = new SourceEdits();
+        walk.fullAncestor(ast, (node, state, ancestors, type) => {
+            const parent = ancestors[ancestors.length - 2];
+            switch (node.type) {
+                case 'Identifier':
+                    this._rewriteIdentifier(node, parent, type, edits);
+                    break;
+                case 'MemberExpression':
+                    this._rewriteMember(node, parent, js, baseUrl, edits);
+                    break;
+                case 'ImportExpression':
+                    edits.insertBefore(node.source.start, `${RUNTIME}.$url(`);
+                    edits.insertAfter(node.source.end, `, ${JSON.stringify(baseUrl)})`);
+                    break;
+                case 'ImportDeclaration':
+                case 'ExportNamedDeclaration':
+                case 'ExportAllDeclaration':
+                    this._rewriteModuleSource(node.source, baseUrl, edits);
+                    break;
+            }
+        });
+
+        if (options.worker) {
+            // After the directive prologue, so a leading "use strict" keeps its meaning
+            const first = ast.body.find(node => !node.directive);
+            edits.insertBefore(first ? first.start : js.length, WORKER_RUNTIME);
+        }
+
+        return edits.size ? edits.apply(js) : js;
+    }
+
+    // Scripts of unknown kind are tried as classic scripts first, then as ES modules
+    static parse(js, options = {}) {
+        const sourceTypes = options.module ? ['module'] : ['script', 'module'];
+        for (const sourceType of sourceTypes) {
+            try {
+                return acorn.parse(js, { ...PARSE_OPTIONS, sourceType });
+            } catch (e) {}
+        }
+        return null;
+    }
+
+    static _rewriteIdentifier(node, parent, type, edits) {
+        if (node.name !== 'location') return;
+
+        if (type === 'VariablePattern') {
+            // Plain "location = url" navigates the page; declarations and destructuring are left alone
+            if (parent.type === 'AssignmentExpression' && parent.left === node && parent.operator === '=') {
+                edits.wrap(parent.right, `${RUNTIME}.$setLocation(location, `, ')');
+            }
+            return;
+        }
+
+        if (parent.type === 'UpdateExpression') return;
+        if ((parent.type === 'ForInStatement' || parent.type === 'ForOfStatement') && parent.left === node) return;
+
+        if (parent.type === 'Property' && parent.shorthand && parent.value === node) {
+            edits.wrap(node, `location: ${RUNTIME}.$get(`, ')');
+            return;
+        }
+
+        edits.wrap(node, `${RUNTIME}.$get(`, ')');
+    }
+
+    static _rewriteMember(node, parent, source, baseUrl, edits) {
+        const name = propertyName(node);
+        const isAssignmentTarget = parent.type === 'AssignmentExpression' && parent.left === node;
+
+        if (name === 'url' && node.object.type === 'MetaProperty' && node.object.meta.name === 'import') {
+            if (!isAssignmentTarget) edits.replace(node.start, node.end, JSON.stringify(baseUrl));
+            return;
+        }
+
+        if (name === 'location') {
+            if (isAssignmentTarget) {
+                if (parent.operator === '=') {
+                    const target = source.slice(node.start, node.end);
+                    edits.wrap(parent.right, `${RUNTIME}.$setLocation(${target}, `, ')');
+                }
+                return;
+            }
+            if (parent.type === 'UpdateExpression') return;
+            if ((parent.type === 'ForInStatement' || parent.type === 'ForOfStatement') && parent.left === node) return;
+            if (parent.type === 'UnaryExpression' && parent.operator === 'delete') return;
+
+            edits.wrap(node, `${RUNTIME}.$get(`, ')');
+            return;
+        }
+
+        if (name === 'domain' && isDocumentReference(node.object) && !node.optional) {
+            const object = source.slice(node.object.start, node.object.end);
+            if (isAssignmentTarget) {
+                if (parent.operator === '=') {
+                    edits.replace(parent.start, parent.right.start, `${RUNTIME}.$setDomain(${object}, `);
+                    edits.insertAfter(parent.right.end, ')');
+                }
+                return;
+            }
+            if (parent.type === 'UpdateExpression' || parent.type === 'UnaryExpression' && parent.operator === 'delete') return;
+
+            edits.insertBefore(node.start, `${RUNTIME}.$getDomain(`);
+            edits.replace(node.object.end, node.end, ')');
+        }
+    }
+
+    static _rewriteModuleSource(sourceNode, baseUrl, edits) {
+        if (!sourceNode || typeof sourceNode.value !== 'string' || !isUrlSpecifier(sourceNode.value)) return;
+        edits.replace(sourceNode.start, sourceNode.end, JSON.stringify(rewriteUrl(sourceNode.value, baseUrl)));
+    }
+
+    static configure(options = {}) {
+        if (options.cacheBytes) maxCacheBytes = options.cacheBytes;
+        BlissFlyJsRewriter._trimCache();
+    }
+
+    static _remember(key, value) {
+        const size = value.length * 2;
+        if (size > maxCacheBytes) return;
+
+        cache.set(key, value);
+        cacheBytes += size;
+        BlissFlyJsRewriter._trimCache();
+    }
+
+    static _trimCache() {
+        for (const [oldKey, oldValue] of cache) {
+            if (cacheBytes <= maxCacheBytes) break;
+            cache.delete(oldKey);
+            cacheBytes -= oldValue.length * 2;
+        }
+    }
+
+    static getCacheStats() {
+        return { entries: cache.size, bytes: cacheBytes, maxBytes: maxCacheBytes };
+    }
+}
+
+module.exports = BlissFlyJsRewriter;
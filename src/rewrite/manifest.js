@@ -0,0 +1,116 @@
+const { rewriteUrl } = require('./url.js');
+
+// Quoted URI attributes of HLS tags: EXT-X-KEY, EXT-X-MAP, EXT-X-MEDIA, EXT-X-I-FRAME-STREAM-INF,
+// EXT-X-SESSION-DATA, EXT-X-PART, EXT-X-PRELOAD-HINT, EXT-X-RENDITION-REPORT and the like
+const HLS_URI_ATTRIBUTE = /(\bURI=")([^"]*)(")/g;
+
+// DASH attributes holding a URL or a URL template, keyed by attribute with the elements they apply to
+const DASH_URL_ATTRIBUTES = {
+    media: ['SegmentTemplate', 'SegmentURL'],
+    initialization: ['SegmentTemplate'],
+    index: ['SegmentTemplate', 'SegmentURL'],
+    bitstreamSwitching: ['SegmentTemplate'],
+    sourceURL: ['Initialization', 'RepresentationIndex', 'BitstreamSwitching'],
+    'xlink:href': '*'
+};
+
+// DASH elements whose text content is a URL
+const DASH_URL_ELEMENTS = ['BaseURL', 'Location', 'PatchLocation'];
+
+// Elements that may carry a BaseURL, which then applies to everything inside them
+const DASH_BASE_SCOPES = ['MPD', 'Period', 'AdaptationSet', 'Representation', 'SubRepresentation'];
+
+const XML_TOKEN = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<\?[\s\S]*?\?>|<![^>]*>|<\/?[^<>]+>|[^<]+/g;
+
+const XML_ATTRIBUTE = /([^\s=/]+)(\s*=\s*)("[^"]*"|'[^']*')/g;
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeXml(text) {
+    return text.replace(/&(?:#x([0-9a-f]+)|#(\d+)|(\w+));/gi, (match, hex, dec, name) => {
+        if (hex) return String.fromCodePoint(parseInt(hex, 16));
+        if (dec) return String.fromCodePoint(parseInt(dec, 10));
+        return XML_ENTITIES[name] !== undefined ? XML_ENTITIES[name] : match;
+    });
+}
+
+function encodeXml(text) {
+    return text.replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+// Element name without a namespace prefix (mpd:BaseURL is a BaseURL too)
+function localName(name) {
+    return name.slice(name.indexOf(':') + 1);
+}
+
+// Rewrites segment and playlist URLs of streaming manifests so players fetch them through the proxy.
+// Segment templates ($Number$, $Time$ ...) survive in the path address format, where the template sits in
+// the unencoded path; the query format encodes the whole URL and cannot carry them.
+class BlissFlyManifestRewriter {
+    // HLS playlists (.m3u8): every URI line and every URI="..." attribute, resolved against the playlist URL
+    static transformHls(playlist, baseUrl) {
+        return playlist.replace(/^([ \t]*)([^\r\n]*?)([ \t\r]*)$/gm, (line, lead, content, trail) => {
+            if (!content) return line;
+            if (content.startsWith('#')) {
+                if (!content.startsWith('#EXT')) return line;
+                return lead + content.replace(HLS_URI_ATTRIBUTE, (match, open, url, close) =>
+                    open + rewriteUrl(url, baseUrl) + close) + trail;
+            }
+            return lead + rewriteUrl(content, baseUrl) + trail;
+        });
+    }
+
+    // Index just past the last complete line, so playlists can be rewritten as they stream in
+    static hlsBoundary(playlist) {
+        return playlist.lastIndexOf('\n') + 1;
+    }
+
+    // DASH manifests (.mpd): BaseURL chains are followed, so every URL is resolved against the base that
+    // applies to it before it is pointed at the proxy
+    static transformDash(mpd, baseUrl) {
+        // One frame per open element: its name and the base URL in effect inside it
+        const stack = [{ name: null, base: baseUrl }];
+        const current = () => stack[stack.length - 1];
+
+        return mpd.replace(XML_TOKEN, token => {
+            if (!token.startsWith('<')) {
+                const frame = current();
+                if (!DASH_URL_ELEMENTS.includes(frame.name) || !token.trim()) return token;
+
+                // A BaseURL is resolved against the base of the element holding it and becomes that element's base
+                const owner = stack[stack.length - 2];
+                let resolved = decodeXml(token.trim());
+                try {
+                    resolved = new URL(resolved, owner.base).href;
+                } catch (e) {
+                    return token;
+                }
+                if (frame.name === 'BaseURL' && DASH_BASE_SCOPES.includes(owner.name)) owner.base = resolved;
+                return token.replace(token.trim(), () => encodeXml(rewriteUrl(resolved, owner.base)));
+            }
+            // The output is UTF-8 whatever the original was encoded in
+            if (token.startsWith('<?xml')) return token.replace(/(\sencoding\s*=\s*["'])[^"']*/, '$1UTF-8');
+            if (/^<[!?]/.test(token)) return token;
+
+            if (token.startsWith('</')) {
+                if (stack.length > 1) stack.pop();
+                return token;
+            }
+
+            const name = localName(/^<([^\s/>]+)/.exec(token)[1]);
+            const base = current().base;
+            const rewritten = token.replace(XML_ATTRIBUTE, (match, attr, equals, quoted) => {
+                const tags = DASH_URL_ATTRIBUTES[attr];
+                if (!tags || (tags !== '*' && !tags.includes(name))) return match;
+                const quote = quoted[0];
+                const value = decodeXml(quoted.slice(1, -1));
+                return attr + equals + quote + encodeXml(rewriteUrl(value.trim(), base)) + quote;
+            });
+
+            if (!token.endsWith('/>')) stack.push({ name, base });
+            return rewritten;
+        });
+    }
+}
+
+module.exports = BlissFlyManifestRewriter;
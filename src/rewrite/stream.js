@@ -0,0 +1,90 @@
+const { Transform } = require('stream');
+const { CharsetDecoder } = require('./charset.js');
+
+const DEFAULT_MAX_BUFFER = 10 * 1024 * 1024;
+
+// Decodes a byte stream in its own charset and rewrites it piecewise, holding back the tail after the
+// last safe boundary. A tail that grows past maxBuffer without any boundary is rewritten as-is to bound
+// memory use. Output is always UTF-8 text.
+class TextRewriteStream extends Transform {
+    constructor(options) {
+        super({ decodeStrings: false });
+        this.decoder = new CharsetDecoder({ contentType: options.contentType, kind: options.kind });
+        this.pending = '';
+        this.rewrite = options.rewrite;
+        this.boundary = options.boundary;
+        this.maxBuffer = options.maxBuffer || DEFAULT_MAX_BUFFER;
+    }
+
+    _transform(chunk, encoding, callback) {
+        const text = this.pending + (Buffer.isBuffer(chunk) ? this.decoder.write(chunk) : chunk);
+        let index = this.boundary(text);
+        if (index === 0 && text.length > this.maxBuffer) index = text.length;
+
+        this.pending = text.slice(index);
+        this._emit(text.slice(0, index), callback);
+    }
+
+    _flush(callback) {
+        const text = this.pending + this.decoder.end();
+        this.pending = '';
+        this._emit(text, callback);
+    }
+
+    _emit(text, callback) {
+        try {
+            callback(null, text ? this.rewrite(text) : undefined);
+        } catch (err) {
+            callback(err);
+        }
+    }
+}
+
+// For content that can only be rewritten as a whole: collects up to maxBuffer bytes, and once that
+// is exceeded gives up on rewriting and forwards the original text unchanged, still transcoded to UTF-8
+class BufferedRewriteStream extends Transform {
+    constructor(options) {
+        super();
+        this.rewrite = options.rewrite;
+        this.maxBuffer = options.maxBuffer || DEFAULT_MAX_BUFFER;
+        this.decoder = new CharsetDecoder({ contentType: options.contentType, kind: options.kind });
+        this.chunks = [];
+        this.length = 0;
+        this.overflowed = false;
+    }
+
+    _transform(chunk, encoding, callback) {
+        const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, encoding);
+
+        if (this.overflowed) {
+            return callback(null, this.decoder.write(buffer) || undefined);
+        }
+
+        this.chunks.push(buffer);
+        this.length += buffer.length;
+
+        if (this.length > this.maxBuffer) {
+            this.overflowed = true;
+            this.emit('overflow', this.length);
+            const buffered = Buffer.concat(this.chunks);
+            this.chunks = [];
+            return callback(null, this.decoder.write(buffered) || undefined);
+        }
+
+        callback();
+    }
+
+    _flush(callback) {
+        if (this.overflowed) return callback(null, this.decoder.end() || undefined);
+
+        Promise.resolve()
+            .then(() => this.rewrite(this.decoder.write(Buffer.concat(this.chunks)) + this.decoder.end()))
+            .then(result => callback(null, result), callback);
+    }
+}
+
+module.exports = {
+    DEFAULT_MAX_BUFFER,
+    TextRewriteStream,
+    BufferedRewriteStream
+};
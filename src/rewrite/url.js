@@ -0,0 +1,105 @@
+const { getCodec } = require('./codec.js');
+
+// URLs the browser handles itself and that must never be routed through /watch
+const SKIPPED_URL = /^(#|data:|javascript:|about:|blob:|mailto:|tel:|sms:)/i;
+
+const PROXY_PREFIX = '/watch';
+
+// Address formats: 'path' is /watch/<encoded-origin>/<path>?<query>, which lets the browser resolve
+// relative URLs against the target directory itself; 'query' is the original /watch?url=<encoded-url>.
+// Both are always accepted, the format only decides which one gets generated.
+const URL_FORMATS = ['path', 'query'];
+
+// Redirect hop counters; the path form shares the target's query, so it uses a name no site will
+const HOPS_PARAM = 'hops';
+const PATH_HOPS_PARAM = '__blissfly_hops';
+
+let format = 'path';
+
+function configure(options = {}) {
+    if (options.format) {
+        if (!URL_FORMATS.includes(options.format)) {
+            throw new Error(`Unknown URL format '${options.format}', expected one of: ${URL_FORMATS.join(', ')}`);
+        }
+        format = options.format;
+    }
+    return format;
+}
+
+function getFormat() {
+    return format;
+}
+
+// Proxy address of an absolute URL; the fragment stays outside the encoded target so the browser still handles it
+function proxyUrl(href, options = {}) {
+    const target = new URL(href);
+    const hash = target.hash;
+    target.hash = '';
+
+    if (format === 'path' && ['http:', 'https:'].includes(target.protocol)) {
+        let search = target.search;
+        if (options.hops) search += (search ? '&' : '?') + `${PATH_HOPS_PARAM}=${options.hops}`;
+        return `${PROXY_PREFIX}/${encodeURIComponent(getCodec().encode(target.origin))}${target.pathname}${search}${hash}`;
+    }
+
+    let address = `${PROXY_PREFIX}?url=${encodeURIComponent(getCodec().encode(target.href))}`;
+    if (options.hops) address += `&${HOPS_PARAM}=${options.hops}`;
+    return address + hash;
+}
+
+// Target URL and redirect hop count of a proxy address given as path and query, in either format.
+// Returns null for paths outside the proxy prefix and throws for addresses that do not decode.
+function parseProxyPath(pathAndQuery) {
+    const address = new URL(pathAndQuery, 'http://blissfly.invalid');
+
+    if (address.pathname === PROXY_PREFIX) {
+        const encoded = address.searchParams.get('url');
+        if (!encoded) return null;
+        return {
+            url: new URL(getCodec().decode(encoded)).href,
+            hops: parseInt(address.searchParams.get(HOPS_PARAM), 10) || 0
+        };
+    }
+
+    if (!address.pathname.startsWith(PROXY_PREFIX + '/')) return null;
+
+    const rest = address.pathname.slice(PROXY_PREFIX.length + 1);
+    const slash = rest.indexOf('/');
+    const origin = new URL(getCodec().decode(decodeURIComponent(slash < 0 ? rest : rest.slice(0, slash))));
+    if (!['http:', 'https:'].includes(origin.protocol)) {
+        throw new Error('Invalid proxied origin');
+    }
+
+    // The query is kept byte for byte, only the hop counter is taken out
+    let hops = 0;
+    const query = address.search.slice(1).split('&').filter(part => {
+        if (!part.startsWith(PATH_HOPS_PARAM + '=')) return true;
+        hops = parseInt(part.slice(PATH_HOPS_PARAM.length + 1), 10) || 0;
+        return false;
+    }).join('&');
+
+    return {
+        url: origin.origin + (slash < 0 ? '/' : rest.slice(slash)) + (query ? '?' + query : ''),
+        hops
+    };
+}
+
+function rewriteUrl(url, base) {
+    if (!url || SKIPPED_URL.test(url)) return url;
+    try {
+        return proxyUrl(new URL(url, base).href);
+    } catch(e) {
+        return url;
+    }
+}
+
+module.exports = {
+    SKIPPED_URL,
+    PROXY_PREFIX,
+    URL_FORMATS,
+    configure,
+    getFormat,
+    proxyUrl,
+    parseProxyPath,
+    rewriteUrl
+};
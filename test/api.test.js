@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const APP = path.join(__dirname, '..', 'src', 'app.js');
+
+// Runs the proxy on a free port for the duration of a test
+async function startApp(t, env = {}) {
+    const child = spawn(process.execPath, [APP], {
+        env: { ...process.env, BLISSFLY_PORT: '0', BLISSFLY_HOST: '127.0.0.1', BLISSFLY_URL_CODEC: 'plain', ...env },
+        stdio: ['ignore', 'pipe', 'inherit']
+    });
+    t.after(() => child.kill());
+
+    const port = await new Promise((resolve, reject) => {
+        let output = '';
+        child.stdout.on('data', chunk => {
+            output += chunk;
+            const match = /Server running on [^\n]*:(\d+)/.exec(output);
+            if (match) resolve(Number(match[1]));
+        });
+        child.on('exit', code => reject(new Error(`app exited with ${code}`)));
+    });
+    return `http://127.0.0.1:${port}`;
+}
+
+function pageOf(base, url) {
+    return `${base}/watch?url=${encodeURIComponent(url)}`;
+}
+
+test('POST /api/cookies only sets cookies for the site of the calling page', async (t) => {
+    const base = await startApp(t);
+    const post = (referer, url) => fetch(`${base}/api/cookies`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json', referer, cookie: session },
+        body: JSON.stringify({ url, cookie: 'planted=1' })
+    });
+
+    const first = await fetch(`${base}/api/cookies`, { headers: { 'sec-fetch-site': 'none' } });
+    const session = first.headers.get('set-cookie').split(';')[0];
+
+    const foreign = await post(pageOf(base, 'https://evil.test/'), 'https://bank.test/');
+    assert.strictEqual(foreign.status, 403);
+
+    const unknown = await post(`${base}/`, 'https://bank.test/');
+    assert.strictEqual(unknown.status, 403);
+
+    const own = await post(pageOf(base, 'https://www.bank.test/account'), 'https://bank.test/');
+    assert.strictEqual(own.status, 200);
+    assert.deepStrictEqual(await own.json(), { cookie: 'planted=1' });
+});
+
+test('/health reports the rewritten script cache', async (t) => {
+    const base = await startApp(t);
+    const health = await (await fetch(`${base}/health`)).json();
+    assert.deepStrictEqual(Object.keys(health.rewriteStats.jsCache), ['entries', 'bytes', 'maxBytes']);
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Response } = require('node-fetch');
+const HttpCache = require('../src/proxy/cache.js');
+
+// Just enough of AdvancedCache for the HTTP cache to run on
+class MemoryStore {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    get(key) {
+        return this.entries.get(key);
+    }
+
+    set(key, value) {
+        this.entries.set(key, value);
+        return true;
+    }
+}
+
+const URL = 'https://site.test/priv';
+
+function upstreamResponse(cacheControl) {
+    return new Response('Hello Alice', { status: 200, headers: { 'cache-control': cacheControl, 'content-type': 'text/html' } });
+}
+
+function store(cache, requestHeaders, response) {
+    const meta = cache.describe(URL, requestHeaders, response);
+    if (meta) cache.save(meta, 'raw', Buffer.from('Hello Alice'));
+    return meta;
+}
+
+test('a response to a request with the visitor\'s cookies is not served to other visitors', () => {
+    const cache = new HttpCache({ store: new MemoryStore() });
+    store(cache, { cookie: 'session=alice' }, upstreamResponse('max-age=600'));
+
+    assert.strictEqual(cache.lookup(URL, {}), null);
+    assert.strictEqual(cache.lookup(URL, { cookie: 'session=bob' }), null);
+});
+
+test('a response to a request with credentials is not shared either', () => {
+    const cache = new HttpCache({ store: new MemoryStore() });
+    assert.strictEqual(cache.describe(URL, { authorization: 'Basic YWxpY2U6c2VjcmV0' }, upstreamResponse('max-age=600')), null);
+    assert.strictEqual(cache.describe(URL, { authorization: 'Basic YWxpY2U6c2VjcmV0' }, upstreamResponse('max-age=600, must-revalidate')), null);
+});
+
+test('public and s-maxage let the upstream share responses to personal requests', () => {
+    const cache = new HttpCache({ store: new MemoryStore() });
+    assert.ok(cache.describe(URL, { cookie: 'session=alice' }, upstreamResponse('public, max-age=600')));
+    assert.ok(cache.describe(URL, { cookie: 'session=alice' }, upstreamResponse('s-maxage=600')));
+
+    store(cache, { cookie: 'session=alice' }, upstreamResponse('public, max-age=600'));
+    assert.ok(cache.lookup(URL, {}).fresh);
+});
+
+test('responses to anonymous requests are shared', () => {
+    const cache = new HttpCache({ store: new MemoryStore() });
+    store(cache, {}, upstreamResponse('max-age=600'));
+    assert.ok(cache.lookup(URL, { cookie: 'session=bob' }).fresh);
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const { once } = require('events');
+const ResponseCompression = require('../src/proxy/compression.js');
+
+// The bits of req and res the encoder looks at
+function exchange(acceptEncoding) {
+    const headers = {};
+    return {
+        req: { method: 'GET', headers: { 'accept-encoding': acceptEncoding } },
+        res: {
+            statusCode: 200,
+            vary: () => {},
+            set: (name, value) => headers[name.toLowerCase()] = value,
+            removeHeader: name => delete headers[name.toLowerCase()],
+            headers
+        }
+    };
+}
+
+const DECODERS = { gzip: zlib.gunzipSync, deflate: zlib.inflateSync, br: zlib.brotliDecompressSync };
+
+for (const coding of Object.keys(DECODERS)) {
+    test(`${coding} HTML goes out chunk by chunk, before the body ends`, async () => {
+        const { req, res } = exchange(coding);
+        const encoder = new ResponseCompression().encoder(req, res, 'text/html; charset=utf-8');
+        assert.strictEqual(res.headers['content-encoding'], coding);
+
+        encoder.write('<html><head><title>First chunk</title></head>');
+        const [data] = await once(encoder, 'data');
+        // A flushed stream decodes up to the flush point even without its end
+        const decoded = coding === 'br'
+            ? zlib.brotliDecompressSync(data, { finishFlush: zlib.constants.BROTLI_OPERATION_FLUSH })
+            : DECODERS[coding](data, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+        assert.strictEqual(decoded.toString(), '<html><head><title>First chunk</title></head>');
+        encoder.destroy();
+    });
+}
+
+test('other text is compressed as a whole', async () => {
+    const { req, res } = exchange('gzip');
+    const encoder = new ResponseCompression().encoder(req, res, 'text/css');
+    const chunks = [];
+    encoder.on('data', chunk => chunks.push(chunk));
+    encoder.write('a { color: red }');
+    await new Promise(resolve => setImmediate(resolve));
+    assert.strictEqual(Buffer.concat(chunks).length <= 10, true);
+    encoder.end();
+    await once(encoder, 'end');
+    assert.strictEqual(zlib.gunzipSync(Buffer.concat(chunks)).toString(), 'a { color: red }');
+});
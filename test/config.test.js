@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const { loadConfig, ConfigError } = require('../src/config.js');
+
+// An empty working directory, so no config file is picked up
+const load = (argv = [], env = {}) => loadConfig({ argv, env, cwd: os.tmpdir() });
+
+test('settings are read from BLISSFLY_ variables only', () => {
+    assert.strictEqual(load([], { HOST: '127.0.0.1', TIMEOUT: '5000' }).HOST, '0.0.0.0');
+    assert.strictEqual(load([], { TIMEOUT: '5000' }).TIMEOUT, 30000);
+    assert.strictEqual(load([], { BLISSFLY_TIMEOUT: '5000' }).TIMEOUT, 5000);
+    assert.strictEqual(load([], { BLISSFLY_COMPRESSION: 'false' }).COMPRESSION, false);
+});
+
+test('PORT is also read unprefixed, below BLISSFLY_PORT', () => {
+    assert.strictEqual(load([], { PORT: '8080' }).PORT, 8080);
+    assert.strictEqual(load([], { PORT: '8080', BLISSFLY_PORT: '9090' }).PORT, 9090);
+});
+
+test('DEBUG is left to the debug package', () => {
+    assert.strictEqual(load([], { DEBUG: 'express:router' }).DEBUG, false);
+    assert.strictEqual(load([], { DEBUG: 'express:router', BLISSFLY_DEBUG: 'true' }).DEBUG, true);
+    assert.strictEqual(load(['--debug'], { DEBUG: '*' }).DEBUG, true);
+});
+
+test('flags take their value inline or from the next argument', () => {
+    assert.strictEqual(load(['--port=8080']).PORT, 8080);
+    assert.strictEqual(load(['--port', '8080', '--host', '127.0.0.1']).HOST, '127.0.0.1');
+});
+
+test('a flag without its value is an error', () => {
+    assert.throws(() => load(['--port']), error => error instanceof ConfigError && /--port needs a value/.test(error.message));
+    assert.throws(() => load(['--port', '--debug']), /--port needs a value/);
+    assert.throws(() => load(['--config']), /--config needs a value/);
+});
+
+test('TRUST_PROXY takes a boolean, a hop count or a list of subnets', () => {
+    assert.strictEqual(load().TRUST_PROXY, false);
+    assert.strictEqual(load(['--trust-proxy']).TRUST_PROXY, true);
+    assert.strictEqual(load(['--trust-proxy', '1']).TRUST_PROXY, 1);
+    assert.strictEqual(load(['--no-trust-proxy'], { BLISSFLY_TRUST_PROXY: 'true' }).TRUST_PROXY, false);
+    assert.strictEqual(load([], { BLISSFLY_TRUST_PROXY: '2' }).TRUST_PROXY, 2);
+    assert.deepStrictEqual(load([], { BLISSFLY_TRUST_PROXY: 'loopback, 10.0.0.0/8' }).TRUST_PROXY, ['loopback', '10.0.0.0/8']);
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { CookieStore } = require('../src/proxy/cookies.js');
+
+test('getJar returns the jar of a live session', () => {
+    const store = new CookieStore({ sessionTTL: 60000 });
+    const id = store.createSession();
+    assert.ok(store.hasSession(id));
+    assert.ok(store.getJar(id));
+});
+
+test('an expired session has no jar even before the periodic cleanup ran', () => {
+    const store = new CookieStore({ sessionTTL: 60000 });
+    const id = store.createSession();
+    store.sessions.get(id).lastSeen = Date.now() - 120000;
+
+    assert.strictEqual(store.hasSession(id), false);
+    assert.strictEqual(store.getJar(id), null);
+    assert.strictEqual(store.getStats().sessions, 0);
+});
+
+test('the periodic cleanup never leaves hasSession and getJar disagreeing', () => {
+    const store = new CookieStore({ sessionTTL: 60000 });
+    const id = store.createSession();
+    store.sessions.get(id).lastSeen = Date.now() - 120000;
+    store.lastCleanup = Date.now() - 600000;
+
+    const exists = store.hasSession(id);
+    assert.strictEqual(Boolean(store.getJar(id)), exists);
+});
+
+test('HttpOnly cookies are kept out of script-visible cookie headers', () => {
+    const store = new CookieStore();
+    const jar = store.getJar(store.createSession());
+    jar.setCookie('sid=abc; HttpOnly', 'https://example.com/');
+    jar.setCookie('theme=dark', 'https://example.com/');
+
+    assert.strictEqual(jar.getCookieHeader('https://example.com/', { includeHttpOnly: false }), 'theme=dark');
+    assert.strictEqual(jar.getCookieHeader('https://example.com/'), 'sid=abc; theme=dark');
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const BlissFlyCssRewriter = require('../src/rewrite/css.js');
+const { proxyUrl } = require('../src/rewrite/url.js');
+
+const BASE = 'https://site.test/css/main.css';
+
+function proxied(url) {
+    return `"${proxyUrl(new URL(url, BASE).href)}"`;
+}
+
+function transform(css) {
+    return BlissFlyCssRewriter.transformCss(css, BASE);
+}
+
+test('url() is rewritten in its quoted and unquoted forms', () => {
+    assert.strictEqual(transform('a{background:url(bg.png)}'), `a{background:url(${proxied('bg.png')})}`);
+    assert.strictEqual(transform('a{background:url( "bg.png" )}'), `a{background:url(${proxied('bg.png')})}`);
+});
+
+test('@import strings and image-set() arguments are rewritten', () => {
+    assert.strictEqual(transform('@import "base.css";'), `@import ${proxied('base.css')};`);
+    assert.strictEqual(transform('a{background:image-set("a.png" 1x)}'), `a{background:image-set(${proxied('a.png')} 1x)}`);
+});
+
+test('other strings are left alone', () => {
+    assert.strictEqual(transform('a::after{content:"x.png"}'), 'a::after{content:"x.png"}');
+});
+
+test('url() in comments is left alone', () => {
+    assert.strictEqual(transform('/* url(bg.png) */'), '/* url(bg.png) */');
+});
+
+test('a malformed url() is skipped and the rest is still rewritten', () => {
+    assert.strictEqual(
+        transform('a{background:url(bad url.png)}b{background:url(ok.png)}'),
+        `a{background:url(bad url.png)}b{background:url(${proxied('ok.png')})}`
+    );
+    assert.strictEqual(
+        transform('a{background:url("bad.png" x)}b{background:url(ok.png)}'),
+        `a{background:url("bad.png" x)}b{background:url(${proxied('ok.png')})}`
+    );
+});
+
+test('@namespace url() is not rewritten', () => {
+    assert.strictEqual(
+        transform('@namespace svg url(http://www.w3.org/2000/svg);a{background:url(bg.png)}'),
+        `@namespace svg url(http://www.w3.org/2000/svg);a{background:url(${proxied('bg.png')})}`
+    );
+});
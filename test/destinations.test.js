@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const DestinationPolicy = require('../src/proxy/destinations.js');
+
+const { isPrivateAddress } = DestinationPolicy;
+
+// How the WHATWG URL parser writes each host; the policy sees it without the brackets
+const hostOf = href => new URL(href).hostname.replace(/^\[|\]$/g, '');
+
+test('private IPv4 and IPv6 addresses are recognised', () => {
+    for (const address of ['127.0.0.1', '10.1.2.3', '169.254.169.254', '192.168.0.1', '::1', 'fd00:ec2::254', 'fe80::1']) {
+        assert.strictEqual(isPrivateAddress(address), true, address);
+    }
+    for (const address of ['93.184.216.34', '2606:2800:220:1:248:1893:25c8:1946', 'example.com']) {
+        assert.strictEqual(isPrivateAddress(address), false, address);
+    }
+});
+
+test('NAT64 and IPv4-mapped addresses are judged by the IPv4 address they carry', () => {
+    for (const address of ['64:ff9b::127.0.0.1', '64:ff9b::7f00:1', '64:ff9b:0:0:0:0:a9fe:a9fe', '::ffff:127.0.0.1', '::ffff:a00:1']) {
+        assert.strictEqual(isPrivateAddress(address), true, address);
+    }
+    assert.strictEqual(isPrivateAddress('64:ff9b::5db8:d822'), false);
+    assert.strictEqual(isPrivateAddress('::ffff:93.184.216.34'), false);
+});
+
+test('URLs with embedded private IPv4 addresses are blocked in the form the URL parser gives them', () => {
+    const policy = new DestinationPolicy();
+    for (const href of ['http://[64:ff9b::127.0.0.1]/', 'http://[::ffff:169.254.169.254]/latest/meta-data/']) {
+        assert.match(hostOf(href), /^[\da-f:]+$/);
+        assert.throws(() => policy.check(href), DestinationPolicy.DestinationBlockedError, href);
+    }
+    assert.doesNotThrow(() => policy.check('http://[64:ff9b::5db8:d822]/'));
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { setTimeout: sleep } = require('timers/promises');
+const DiskCache = require('../src/proxy/diskcache.js');
+
+function tempCache() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'blissfly-disk-'));
+    const disk = new DiskCache({ dir, minEntryBytes: 1024, maxEntryBytes: 64 * 1024 });
+    return { disk, bodies: () => fs.readdirSync(disk.bodyDir), cleanup: () => fs.rmSync(dir, { recursive: true, force: true }) };
+}
+
+// Resolves once the writer's file has been renamed into place and indexed
+const committed = (disk, key) => new Promise(resolve => {
+    const check = () => disk.entries.has(key) ? resolve() : setTimeout(check, 5);
+    check();
+});
+
+test('no writer for bodies announced to be out of range', () => {
+    const { disk, cleanup } = tempCache();
+    assert.strictEqual(disk.writer('small', {}, 60000, 100), null);
+    assert.strictEqual(disk.writer('large', {}, 60000, 1024 * 1024), null);
+    assert.ok(disk.writer('fits', {}, 60000, 4096));
+    cleanup();
+});
+
+test('small bodies of unknown length never create a file', () => {
+    const { disk, bodies, cleanup } = tempCache();
+    const writer = disk.writer('small', {}, 60000);
+    writer.write(Buffer.alloc(100));
+    assert.deepStrictEqual(bodies(), []);
+    writer.end();
+    assert.deepStrictEqual(bodies(), []);
+    assert.strictEqual(disk.get('small'), null);
+    cleanup();
+});
+
+test('the file is created once the minimum has arrived and keeps every byte', async () => {
+    const { disk, bodies, cleanup } = tempCache();
+    const writer = disk.writer('body', {}, 60000);
+    writer.write(Buffer.alloc(600, 'a'));
+    await sleep(20);
+    assert.deepStrictEqual(bodies(), []);
+    writer.write(Buffer.alloc(600, 'b'));
+    await sleep(20);
+    assert.strictEqual(bodies().length, 1);
+    writer.write(Buffer.alloc(600, 'c'));
+    writer.end();
+    await committed(disk, 'body');
+
+    const stored = fs.readFileSync(path.join(disk.bodyDir, disk.entries.get('body').file));
+    assert.strictEqual(stored.toString(), 'a'.repeat(600) + 'b'.repeat(600) + 'c'.repeat(600));
+    cleanup();
+});
+
+test('a body being read outlives the entry that pointed at it', async () => {
+    const { disk, bodies, cleanup } = tempCache();
+    const writer = disk.writer('body', {}, 60000);
+    writer.write(Buffer.alloc(2048, 'a'));
+    writer.end();
+    await committed(disk, 'body');
+
+    const stream = disk.get('body').createReadStream();
+    disk.delete('body');
+    await sleep(20);
+    assert.strictEqual(bodies().length, 1);
+
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    assert.strictEqual(Buffer.concat(chunks).toString(), 'a'.repeat(2048));
+    await sleep(20);
+    assert.deepStrictEqual(bodies(), []);
+    cleanup();
+});
+
+test('index saves never overlap', async (t) => {
+    const { disk, cleanup } = tempCache();
+    const writeFile = fs.promises.writeFile;
+    let writing = 0;
+    let overlapped = false;
+    t.mock.method(fs.promises, 'writeFile', async (...args) => {
+        overlapped = overlapped || writing > 0;
+        writing++;
+        await sleep(10);
+        await writeFile(...args);
+        writing--;
+    });
+
+    disk.putMeta('a', {}, 60000);
+    const first = disk.save();
+    disk.putMeta('b', {}, 60000);
+    await Promise.all([first, disk.save()]);
+
+    assert.strictEqual(overlapped, false);
+    const index = JSON.parse(fs.readFileSync(path.join(disk.dir, 'index.json'), 'utf8'));
+    assert.deepStrictEqual(index.entries.map(entry => entry.key), ['a', 'b']);
+    clearTimeout(disk.saveTimer);
+    cleanup();
+});
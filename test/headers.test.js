@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { Headers } = require('node-fetch');
+const HeaderPolicy = require('../src/proxy/headers.js');
+const proxyAddress = require('../src/rewrite/url.js');
+
+const TARGET = 'https://example.com/app/page.html';
+
+function policy(options = {}) {
+    return new HeaderPolicy({
+        resolveProxiedUrl: href => href.startsWith('http://proxy.test/watch/') ? 'https://example.com/app/' : null,
+        rewriteUrl: proxyAddress.rewriteUrl,
+        ...options
+    });
+}
+
+function upstream(entries) {
+    const headers = new Headers();
+    for (const [name, value] of entries) headers.append(name, value);
+    return headers;
+}
+
+test('upstreamHeaders forwards only allowed request headers', () => {
+    const headers = policy().upstreamHeaders({
+        accept: 'text/html',
+        'accept-language': 'en',
+        cookie: 'proxy=1',
+        host: 'proxy.test',
+        'x-forwarded-for': '10.0.0.1',
+        range: 'bytes=0-9'
+    }, TARGET);
+
+    assert.deepStrictEqual(headers, { accept: 'text/html', 'accept-language': 'en', range: 'bytes=0-9' });
+});
+
+test('upstreamHeaders drops headers named in Connection', () => {
+    const headers = policy().upstreamHeaders({ connection: 'keep-alive, accept-language', 'accept-language': 'en' }, TARGET);
+    assert.deepStrictEqual(headers, {});
+});
+
+test('upstreamHeaders maps a proxied Referer back to its target and derives Origin from it', () => {
+    const headers = policy().upstreamHeaders({
+        referer: 'http://proxy.test/watch/abc/app/',
+        origin: 'http://proxy.test'
+    }, TARGET);
+
+    assert.strictEqual(headers.referer, 'https://example.com/app/');
+    assert.strictEqual(headers.origin, 'https://example.com');
+});
+
+test('upstreamHeaders sends no Origin the browser did not send', () => {
+    const headers = policy().upstreamHeaders({ referer: 'http://proxy.test/watch/abc/app/' }, TARGET);
+    assert.strictEqual(headers.origin, undefined);
+});
+
+test('upstreamHeaders sends a null Origin when the page is unknown', () => {
+    assert.strictEqual(policy().upstreamHeaders({ origin: 'http://proxy.test' }, TARGET).origin, 'null');
+    assert.strictEqual(policy().upstreamHeaders({ origin: 'null' }, TARGET).origin, 'null');
+});
+
+test('upstreamHeaders forwards Authorization', () => {
+    const headers = policy().upstreamHeaders({ authorization: 'Basic dXNlcjpwYXNz' }, TARGET);
+    assert.strictEqual(headers.authorization, 'Basic dXNlcjpwYXNz');
+});
+
+test('upstreamHeaders drops a Referer that does not point into the proxy', () => {
+    const headers = policy().upstreamHeaders({ referer: 'https://elsewhere.test/' }, TARGET);
+    assert.strictEqual(headers.referer, undefined);
+});
+
+test('upstreamHeaders honours a custom request header list', () => {
+    const headers = policy({ requestHeaders: ['Accept'] }).upstreamHeaders({ accept: '*/*', 'user-agent': 'x' }, TARGET);
+    assert.deepStrictEqual(headers, { accept: '*/*' });
+});
+
+test('clientHeaders blocks every default blocked response header', () => {
+    const entries = HeaderPolicy.DEFAULT_BLOCKED_RESPONSE_HEADERS.map(name => [name, 'x']);
+    const headers = policy().clientHeaders(upstream([...entries, ['content-type', 'text/html']]), TARGET);
+    assert.deepStrictEqual(headers, { 'content-type': 'text/html' });
+});
+
+test('clientHeaders drops hop-by-hop headers and those named in Connection', () => {
+    const headers = policy().clientHeaders(upstream([
+        ['connection', 'x-private'],
+        ['keep-alive', 'timeout=5'],
+        ['transfer-encoding', 'chunked'],
+        ['x-private', '1'],
+        ['etag', '"a"']
+    ]), TARGET);
+    assert.deepStrictEqual(headers, { etag: '"a"' });
+});
+
+test('clientHeaders keeps repeated headers as a list', () => {
+    const headers = policy().clientHeaders(upstream([['x-multi', 'a'], ['x-multi', 'b']]), TARGET);
+    assert.deepStrictEqual(headers['x-multi'], ['a', 'b']);
+});
+
+test('clientHeaders points Link preloads at the proxy', () => {
+    const headers = policy().clientHeaders(upstream([
+        ['link', '</app.js>; rel=modulepreload, <https://cdn.test/font.woff2>; rel=preload; as=font; crossorigin']
+    ]), TARGET);
+
+    assert.strictEqual(headers.link,
+        `<${proxyAddress.proxyUrl('https://example.com/app.js')}>; rel=modulepreload, ` +
+        `<${proxyAddress.proxyUrl('https://cdn.test/font.woff2')}>; rel=preload; as=font; crossorigin`);
+});
+
+test('clientHeaders points Content-Location at the proxy', () => {
+    const headers = policy().clientHeaders(upstream([['content-location', 'page.en.html']]), TARGET);
+    assert.strictEqual(headers['content-location'], proxyAddress.proxyUrl('https://example.com/app/page.en.html'));
+});
+
+test('clientHeaders leaves URL headers alone without a target', () => {
+    const headers = policy().clientHeaders(upstream([['link', '</app.js>; rel=preload']]));
+    assert.strictEqual(headers.link, '</app.js>; rel=preload');
+});
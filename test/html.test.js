@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const BlissFlyRewriter = require('../src/rewrite/html.js');
+const codec = require('../src/rewrite/codec.js');
+const url = require('../src/rewrite/url.js');
+
+// Each <name>.html is rewritten as if served from BASE and compared with <name>.expected.html.
+// Run with UPDATE_FIXTURES=1 to write the expected files from the current output.
+const FIXTURES = path.join(__dirname, 'fixtures', 'html');
+const BASE = 'https://site.test/dir/page.html';
+
+codec.configure({ name: 'plain' });
+url.configure({ format: 'path' });
+
+const inputs = fs.readdirSync(FIXTURES).filter(file => file.endsWith('.html') && !file.endsWith('.expected.html'));
+
+for (const input of inputs) {
+    test(`rewrites ${input}`, async () => {
+        const html = fs.readFileSync(path.join(FIXTURES, input), 'utf8');
+        const output = await BlissFlyRewriter.transformHtml(html, BASE, { cookies: '' });
+        const expectedFile = path.join(FIXTURES, input.replace(/\.html$/, '.expected.html'));
+
+        if (process.env.UPDATE_FIXTURES) fs.writeFileSync(expectedFile, output);
+        assert.strictEqual(output, fs.readFileSync(expectedFile, 'utf8'));
+    });
+}
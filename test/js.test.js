@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const vm = require('vm');
+const BlissFlyJsRewriter = require('../src/rewrite/js.js');
+
+const BASE = 'https://site.test/worker.js';
+
+// Bare worker global: no injected client, so no __blissfly unless the script brings it
+function workerScope() {
+    const scope = { location: { href: BASE }, imported: [] };
+    scope.self = scope;
+    scope.importScripts = url => scope.imported.push(url);
+    return vm.createContext(scope);
+}
+
+test('page scripts call into the injected runtime', () => {
+    const output = BlissFlyJsRewriter.transformJavaScript('const here = location.href;', BASE);
+    assert.strictEqual(output, 'const here = __blissfly.$get(location).href;');
+});
+
+test('worker scripts run without the injected client', () => {
+    const scope = workerScope();
+    const output = BlissFlyJsRewriter.transformJavaScript('self.here = location.href;', BASE, { worker: true });
+    vm.runInContext(output, scope);
+    assert.strictEqual(scope.here, BASE);
+});
+
+test('scripts imported into a worker find the runtime stand-in', () => {
+    const scope = workerScope();
+    vm.runInContext(BlissFlyJsRewriter.transformJavaScript('importScripts("lib.js");', BASE, { worker: true }), scope);
+    vm.runInContext(BlissFlyJsRewriter.transformJavaScript('self.here = location.href;', BASE), scope);
+    assert.strictEqual(scope.here, BASE);
+});
+
+test('the stand-in goes after the directive prologue', () => {
+    const output = BlissFlyJsRewriter.transformJavaScript('"use strict";\nlocation.href;', BASE, { worker: true });
+    assert.ok(output.startsWith('"use strict";\nif (typeof self.__blissfly'));
+});
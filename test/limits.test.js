@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { RateLimiter, clientKey, rateLimit } = require('../src/proxy/limits.js');
+const { CookieStore, SESSION_COOKIE } = require('../src/proxy/cookies.js');
+
+function request(cookie) {
+    return { ip: '203.0.113.5', headers: cookie ? { cookie } : {}, socket: {} };
+}
+
+// Just enough of an Express response to see what the middleware answered
+function response() {
+    return {
+        headers: {},
+        statusCode: 200,
+        set(name, value) {
+            this.headers[name] = value;
+            return this;
+        },
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        send() {
+            return this;
+        }
+    };
+}
+
+test('RateLimiter allows a burst, then refills at its rate', (t) => {
+    let now = 1000000;
+    t.mock.method(Date, 'now', () => now);
+    const limiter = new RateLimiter({ perMinute: 60, burst: 2 });
+
+    assert.strictEqual(limiter.take('a').allowed, true);
+    assert.strictEqual(limiter.take('a').allowed, true);
+    assert.deepStrictEqual(limiter.take('a'), { allowed: false, retryAfter: 1000 });
+    assert.strictEqual(limiter.take('b').allowed, true);
+
+    now += 1000;
+    assert.strictEqual(limiter.take('a').allowed, true);
+    assert.strictEqual(limiter.take('a').allowed, false);
+    assert.deepStrictEqual(limiter.getStats(), { limited: 2, clients: 2 });
+});
+
+test('RateLimiter with no rate allows everything', () => {
+    const limiter = new RateLimiter({ perMinute: 0 });
+    for (let i = 0; i < 1000; i++) assert.strictEqual(limiter.take('a').allowed, true);
+});
+
+test('clientKey only keys by sessions the store issued', () => {
+    const store = new CookieStore();
+    const id = store.createSession();
+
+    assert.strictEqual(clientKey(request(`${SESSION_COOKIE}=${id}`), 'session', store), 'session:' + id);
+    assert.strictEqual(clientKey(request(`${SESSION_COOKIE}=made-up`), 'session', store), 'ip:203.0.113.5');
+    assert.strictEqual(clientKey(request(`${SESSION_COOKIE}=${id}`), 'ip', store), 'ip:203.0.113.5');
+});
+
+test('rateLimit answers 429 with Retry-After once the bucket is empty', () => {
+    const middleware = rateLimit(new RateLimiter({ perMinute: 6, burst: 1 }), { keyBy: 'session', sessions: new CookieStore() });
+    let passed = 0;
+
+    middleware(request(`${SESSION_COOKIE}=one`), response(), () => passed++);
+    const res = response();
+    middleware(request(`${SESSION_COOKIE}=two`), res, () => passed++);
+
+    assert.strictEqual(passed, 1);
+    assert.strictEqual(res.statusCode, 429);
+    assert.strictEqual(res.headers['Retry-After'], '10');
+});
+
+test('rateLimit lets skipped requests through', () => {
+    const middleware = rateLimit(new RateLimiter({ perMinute: 1, burst: 1 }), { skip: req => req.path === '/health' });
+    let passed = 0;
+    for (let i = 0; i < 3; i++) middleware({ ...request(), path: '/health' }, response(), () => passed++);
+    assert.strictEqual(passed, 3);
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const HookEvent = require('../src/client/hook.js');
+const BlissFlyMessage = require('../src/client/message.js');
+
+const PROXY_ORIGIN = 'https://proxy.test';
+
+// Window whose postMessage records the real targetOrigin it was called with, optionally running the client
+function fakeWindow(emulatedOrigin) {
+    const win = {
+        sent: [],
+        location: { origin: PROXY_ORIGIN },
+        postMessage(message, targetOrigin) {
+            this.sent.push([message, targetOrigin]);
+        }
+    };
+    if (emulatedOrigin) win.__blissfly = { location: { url: new URL(emulatedOrigin + '/') } };
+    return win;
+}
+
+// Sender whose page is emulated at https://sender.test
+function sender() {
+    const window = fakeWindow('https://sender.test');
+    const ctx = {
+        window,
+        location: window.__blissfly.location,
+        dispatch: (name, data, target, that) => new HookEvent(data, target, that),
+        override(obj, prop, wrapper) {
+            const original = obj[prop];
+            obj[prop] = function (...args) {
+                return wrapper(original, this, args);
+            };
+        }
+    };
+    new BlissFlyMessage(ctx).overridePostMessage();
+    return window.postMessage;
+}
+
+test('"*" reaches any receiver', () => {
+    const receiver = fakeWindow('https://other.test');
+    sender().call(receiver, 'hi', '*');
+    assert.deepStrictEqual(receiver.sent, [['hi', '*']]);
+});
+
+test('an explicit targetOrigin is checked against the emulated origin of a proxied receiver', () => {
+    const receiver = fakeWindow('https://other.test');
+    sender().call(receiver, 'wrong', 'https://elsewhere.test');
+    sender().call(receiver, 'right', 'https://other.test/path');
+    assert.deepStrictEqual(receiver.sent, [['right', PROXY_ORIGIN]]);
+});
+
+test('"/" only matches a receiver at the sender\'s emulated origin', () => {
+    const same = fakeWindow('https://sender.test');
+    const other = fakeWindow('https://other.test');
+    sender().call(same, 'hi', '/');
+    sender().call(other, 'hi', '/');
+    assert.deepStrictEqual(same.sent, [['hi', PROXY_ORIGIN]]);
+    assert.deepStrictEqual(other.sent, []);
+});
+
+test('a receiver not running the client is left to the browser\'s check of the real targetOrigin', () => {
+    const receiver = fakeWindow(null);
+    sender().call(receiver, 'hi', 'https://other.test');
+    sender().call(receiver, 'hi', '/');
+    assert.deepStrictEqual(receiver.sent, [['hi', 'https://other.test'], ['hi', 'https://sender.test']]);
+});
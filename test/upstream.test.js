@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PassThrough } = require('stream');
+const { setTimeout: sleep } = require('timers/promises');
+const { IdleTimeoutStream } = require('../src/proxy/upstream.js');
+
+const TIMEOUT = 100;
+
+test('an upstream that stops sending times out', async () => {
+    const source = new PassThrough();
+    const body = new IdleTimeoutStream(source, TIMEOUT, () => {});
+    source.write('partial');
+
+    const error = await new Promise(resolve => {
+        body.on('error', resolve);
+        body.resume();
+    });
+    assert.strictEqual(error.code, 'read-timeout');
+    assert.strictEqual(error.status, 504);
+});
+
+test('a consumer that falls behind does not count as an idle upstream', async () => {
+    const source = new PassThrough();
+    let timeouts = 0;
+    const body = new IdleTimeoutStream(source, TIMEOUT, () => timeouts++);
+
+    // More than the buffers hold, so the upstream gets paused while nobody reads
+    const chunk = Buffer.alloc(64 * 1024);
+    for (let i = 0; i < 8; i++) source.write(chunk);
+    source.end();
+    await sleep(TIMEOUT * 3);
+
+    let length = 0;
+    for await (const data of body) length += data.length;
+    assert.strictEqual(length, 8 * chunk.length);
+    assert.strictEqual(timeouts, 0);
+});
+
+test('the timer runs again once the consumer catches up', async () => {
+    const source = new PassThrough();
+    const body = new IdleTimeoutStream(source, TIMEOUT, () => {});
+    const chunk = Buffer.alloc(64 * 1024);
+    for (let i = 0; i < 4; i++) source.write(chunk);
+    await sleep(TIMEOUT * 2);
+
+    const error = await new Promise(resolve => {
+        body.on('error', resolve);
+        body.resume();
+    });
+    assert.strictEqual(error.code, 'read-timeout');
+});